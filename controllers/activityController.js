@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import Activity from '../models/Activity.js';
+import { parseLimit } from '../utils/pagination.js';
+
+// Parse page/limit query params into safe values
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = parseLimit(query.limit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Run a paginated activity query and shape the response
+const findActivities = async (filter, { page, limit, skip }) => {
+  const [activities, total] = await Promise.all([
+    Activity.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Activity.countDocuments(filter)
+  ]);
+
+  return {
+    activities,
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+};
+
+// @desc    Get activity log for a board
+// @route   GET /api/boards/:id/activity
+// @access  Private (activity.view)
+export const getBoardActivity = async (req, res) => {
+  try {
+    const boardId = req.board._id;
+    const { actor, action, entityType, from, to } = req.query;
+    const filter = { board: boardId };
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ message: 'Invalid actor id' });
+      }
+      filter.actor = actor;
+    }
+    if (action) filter.action = { $in: action.split(',') };
+    if (entityType) filter.entityType = entityType;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    res.json(await findActivities(filter, getPagination(req.query)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get history of a single card
+// @route   GET /api/cards/:id/activity
+// @access  Private (activity.view)
+export const getCardActivity = async (req, res) => {
+  try {
+    // Deleted cards keep their history (the route resolves their board from the log)
+    res.json(await findActivities({ card: req.params.id }, getPagination(req.query)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,315 @@
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import { withTransaction } from '../utils/transaction.js';
+import { deleteCards, deleteLists } from '../utils/cascade.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+import { scheduleCardReminders } from '../utils/dueDates.js';
+import { captureState, changeStep, recordChange } from '../utils/journal.js';
+
+// @desc    Archive board
+// @route   PUT /api/boards/:id/archive
+// @access  Private (board.archive)
+export const archiveBoard = async (req, res) => {
+  try {
+    const board = req.board;
+
+    if (board.archivedAt) {
+      return res.status(400).json({ message: 'Board is already archived' });
+    }
+
+    board.archivedAt = new Date();
+    await board.save();
+
+    emitBoardEvent(board._id, 'board.archived', { _id: board._id, archivedAt: board.archivedAt }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.archived',
+      entityType: 'board',
+      entity: board._id,
+      after: { archivedAt: board.archivedAt }
+    });
+
+    res.json(board);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore archived board
+// @route   PUT /api/boards/:id/restore
+// @access  Private (board.restore)
+export const restoreBoard = async (req, res) => {
+  try {
+    const board = req.board;
+
+    if (!board.archivedAt) {
+      return res.status(400).json({ message: 'Board is not archived' });
+    }
+
+    const archivedAt = board.archivedAt;
+    board.archivedAt = null;
+    await board.save();
+
+    emitBoardEvent(board._id, 'board.restored', { _id: board._id }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.restored',
+      entityType: 'board',
+      entity: board._id,
+      before: { archivedAt }
+    });
+
+    res.json(board);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get archived lists and cards of a board
+// @route   GET /api/boards/:id/archive
+// @access  Private (archive.view)
+export const getBoardArchive = async (req, res) => {
+  try {
+    const boardId = req.board._id;
+
+    const [lists, cards] = await Promise.all([
+      List.find({ board: boardId, archivedAt: { $ne: null } }).sort({ archivedAt: -1 }),
+      Card.find({ board: boardId, archivedAt: { $ne: null } })
+        .populate('createdBy', 'name email')
+        .populate('assignedTo', 'name email')
+        .populate('list', 'title archivedAt')
+        .sort({ archivedAt: -1 })
+    ]);
+
+    res.json({ lists, cards });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Permanently delete everything archived in a board
+// @route   DELETE /api/boards/:id/archive
+// @access  Private (archive.purge)
+export const purgeBoardArchive = async (req, res) => {
+  try {
+    const board = req.board;
+
+    const deleted = await withTransaction(async (session) => {
+      const { lists, cards } = await deleteLists({ board: board._id, archivedAt: { $ne: null } }, session);
+      const archivedCards = await deleteCards({ board: board._id, archivedAt: { $ne: null } }, session);
+      return { lists, cards: cards + archivedCards };
+    });
+
+    emitBoardEvent(board._id, 'archive.purged', deleted, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'archive.purged',
+      entityType: 'board',
+      entity: board._id,
+      after: deleted
+    });
+
+    res.json({ message: 'Archive purged', deleted });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Archive list (and the cards in it)
+// @route   PUT /api/lists/:id/archive
+// @access  Private (list.archive)
+export const archiveList = async (req, res) => {
+  try {
+    const list = req.list;
+
+    if (list.archivedAt) {
+      return res.status(400).json({ message: 'List is already archived' });
+    }
+
+    // Cards share the list's timestamp so restoring the list only brings back
+    // the cards archived with it, not ones archived individually before
+    const archivedAt = new Date();
+    const state = captureState(list);
+
+    await withTransaction(async (session) => {
+      await Card.updateMany({ list: list._id, archivedAt: null }, { archivedAt }, { session });
+      list.archivedAt = archivedAt;
+      await list.save({ session });
+    });
+    await recordChange({
+      board: list.board,
+      user: req.user._id,
+      action: 'list.archived',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.archive',
+      steps: [changeStep(list, state)]
+    });
+
+    emitBoardEvent(list.board, 'list.archived', { _id: list._id, archivedAt }, req.user._id);
+    await logActivity({
+      board: list.board,
+      actor: req.user._id,
+      action: 'list.archived',
+      entityType: 'list',
+      entity: list._id,
+      after: { title: list.title, archivedAt }
+    });
+
+    res.json(list);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore archived list (and the cards archived with it)
+// @route   PUT /api/lists/:id/restore
+// @access  Private (list.restore)
+export const restoreList = async (req, res) => {
+  try {
+    const list = req.list;
+
+    if (!list.archivedAt) {
+      return res.status(400).json({ message: 'List is not archived' });
+    }
+
+    const archivedAt = list.archivedAt;
+    const state = captureState(list);
+
+    await withTransaction(async (session) => {
+      await Card.updateMany({ list: list._id, archivedAt }, { archivedAt: null }, { session });
+      list.archivedAt = null;
+      await list.save({ session });
+    });
+    await recordChange({
+      board: list.board,
+      user: req.user._id,
+      action: 'list.restored',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.restore',
+      steps: [changeStep(list, state)]
+    });
+
+    emitBoardEvent(list.board, 'list.restored', list, req.user._id);
+    await logActivity({
+      board: list.board,
+      actor: req.user._id,
+      action: 'list.restored',
+      entityType: 'list',
+      entity: list._id,
+      before: { archivedAt }
+    });
+
+    res.json(list);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Archive card
+// @route   PUT /api/cards/:id/archive
+// @access  Private (card.archive)
+export const archiveCard = async (req, res) => {
+  try {
+    const card = req.card;
+
+    if (card.archivedAt) {
+      return res.status(400).json({ message: 'Card is already archived' });
+    }
+
+    const state = captureState(card);
+    card.archivedAt = new Date();
+    await card.save();
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.archived',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.archive',
+      steps: [changeStep(card, state)]
+    });
+
+    emitBoardEvent(card.board, 'card.archived', { _id: card._id, list: card.list, archivedAt: card.archivedAt }, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'card.archived',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      after: { archivedAt: card.archivedAt }
+    });
+
+    res.json(card);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore archived card
+// @route   PUT /api/cards/:id/restore
+// @access  Private (card.restore)
+export const restoreCard = async (req, res) => {
+  try {
+    const card = req.card;
+
+    if (!card.archivedAt) {
+      return res.status(400).json({ message: 'Card is not archived' });
+    }
+
+    const list = await List.findById(card.list);
+    if (!list || list.archivedAt) {
+      return res.status(400).json({ message: 'Restore the card\'s list first' });
+    }
+
+    const archivedAt = card.archivedAt;
+    const state = captureState(card);
+    card.archivedAt = null;
+    await card.save();
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.restored',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.restore',
+      steps: [changeStep(card, state)]
+    });
+
+    // Reminders that fired while the card was archived were skipped
+    await scheduleCardReminders(card);
+
+    await card.populate('createdBy', 'name email');
+    await card.populate('assignedTo', 'name email');
+    await card.populate('list', 'title');
+
+    emitBoardEvent(card.board, 'card.restored', card, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'card.restored',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      before: { archivedAt }
+    });
+
+    res.json(card);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,218 @@
+import path from 'path';
+import Attachment from '../models/Attachment.js';
+import { getStorage, getDefaultDriver, createStorageKey, removeStoredFiles } from '../utils/storage.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+
+// SVG can carry scripts, so it is never treated as a displayable image
+const isImage = (mimeType) => mimeType.startsWith('image/') && mimeType !== 'image/svg+xml';
+
+// Strip directories and control characters from a client-supplied file name
+const cleanFilename = (name) => path.basename(name || '').replace(/[\x00-\x1f\x7f"\\]/g, '').trim() || 'file';
+
+// RFC 6266 Content-Disposition with a UTF-8 fallback
+const contentDisposition = (type, filename) => {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_');
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+const logAttachmentActivity = (req, action, attachment) => logActivity({
+  board: req.card.board,
+  actor: req.user._id,
+  action,
+  entityType: 'attachment',
+  entity: attachment._id,
+  card: req.card._id,
+  after: { filename: attachment.filename, mimeType: attachment.mimeType, size: attachment.size }
+});
+
+// @desc    Get a card's attachments
+// @route   GET /api/cards/:id/attachments
+// @access  Private (attachment.view)
+export const getAttachments = async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ card: req.card._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(attachments);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Upload an attachment (multipart field `file`)
+// @route   POST /api/cards/:id/attachments
+// @access  Private (attachment.create)
+export const uploadAttachment = async (req, res) => {
+  try {
+    const card = req.card;
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ message: 'Please provide a file' });
+    }
+
+    const filename = cleanFilename(file.originalname);
+    const driver = getDefaultDriver();
+    const storageKey = createStorageKey(card.board.toString(), filename);
+
+    const storage = await getStorage(driver);
+    await storage.save(storageKey, file.buffer, file.mimetype);
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        card: card._id,
+        board: card.board,
+        uploadedBy: req.user._id,
+        filename,
+        mimeType: file.mimetype,
+        size: file.size,
+        driver,
+        storageKey
+      });
+    } catch (error) {
+      // Don't leave unreferenced bytes behind
+      await removeStoredFiles([{ driver, storageKey }]);
+      throw error;
+    }
+
+    // The first image uploaded becomes the cover
+    if (!card.cover && isImage(attachment.mimeType)) {
+      card.cover = attachment._id;
+      await card.save();
+    }
+
+    await attachment.populate('uploadedBy', 'name email');
+
+    emitBoardEvent(card.board, 'attachment.created', { attachment, cover: card.cover }, req.user._id);
+    await logAttachmentActivity(req, 'attachment.created', attachment);
+
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download an attachment (?inline=true displays images in the browser)
+// @route   GET /api/cards/:id/attachments/:attachmentId/download
+// @access  Private (attachment.view)
+export const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, card: req.card._id })
+      .select('+driver +storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const storage = await getStorage(attachment.driver);
+    let stream;
+    try {
+      stream = await storage.read(attachment.storageKey);
+    } catch (error) {
+      console.error(error);
+      return res.status(404).json({ message: 'Attachment file is missing' });
+    }
+
+    const inline = req.query.inline === 'true' && isImage(attachment.mimeType);
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.filename),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=0'
+    });
+
+    stream.on('error', (error) => {
+      console.error(error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/cards/:id/attachments/:attachmentId
+// @access  Private (attachment.delete)
+export const deleteAttachment = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, card: card._id })
+      .select('+driver +storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await attachment.deleteOne();
+
+    if (card.cover && card.cover.toString() === attachment._id.toString()) {
+      card.cover = null;
+      await card.save();
+    }
+
+    await removeStoredFiles([attachment]);
+
+    emitBoardEvent(card.board, 'attachment.deleted', { _id: attachment._id, card: card._id, cover: card.cover }, req.user._id);
+    await logAttachmentActivity(req, 'attachment.deleted', attachment);
+
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set or clear the card cover ({ attachmentId } or { attachmentId: null })
+// @route   PUT /api/cards/:id/cover
+// @access  Private (card.update)
+export const setCardCover = async (req, res) => {
+  try {
+    const card = req.card;
+    const { attachmentId } = req.body;
+
+    if (attachmentId === undefined) {
+      return res.status(400).json({ message: 'Please provide attachmentId (or null to clear the cover)' });
+    }
+
+    let attachment = null;
+    if (attachmentId) {
+      attachment = await Attachment.findOne({ _id: attachmentId, card: card._id });
+
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+      if (!isImage(attachment.mimeType)) {
+        return res.status(400).json({ message: 'Only image attachments can be used as a cover' });
+      }
+    }
+
+    card.cover = attachment ? attachment._id : null;
+    await card.save();
+
+    emitBoardEvent(card.board, 'card.cover', { _id: card._id, cover: card.cover }, req.user._id);
+
+    res.json({ _id: card._id, cover: attachment });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
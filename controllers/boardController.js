@@ -1,29 +1,79 @@
+import mongoose from 'mongoose';
 import Board from '../models/Board.js';
 import User from '../models/User.js';
 import Invite from '../models/Invite.js';
 import Card from '../models/Card.js';
 import List from '../models/List.js';
-import crypto from 'crypto';
-
-// @desc    Create a new board
+import { memberBoardsFilter, normalizeRole, getBoardRole, ASSIGNABLE_ROLES } from '../utils/permissions.js';
+import { emitBoardEvent, closeBoardChannel } from '../utils/realtime.js';
+import { logActivity, snapshot, diffSnapshots } from '../utils/activity.js';
+import { withTransaction } from '../utils/transaction.js';
+import { deleteBoardTree } from '../utils/cascade.js';
+import { setETag, parseExpectedVersion, saveIfVersion, sendVersionConflict } from '../utils/concurrency.js';
+import { createInviteToken, joinBoardFromInvite } from '../utils/invites.js';
+import { queueMail, isMailConfigured } from '../utils/mail.js';
+import { notify } from '../utils/notifications.js';
+import { findTemplate } from '../utils/boardTemplates.js';
+import { parseCopyOptions, createBlueprint, createBoardFromBlueprint } from '../utils/blueprints.js';
+import { captureState, changeStep, recordChange } from '../utils/journal.js';
+import { EXPORT_FORMATS, createBoardExport, boardExportToCsv } from '../utils/boardExport.js';
+import { parseBoardImport } from '../utils/boardImport.js';
+
+// Board fields tracked in the activity log and compared on version conflicts
+const BOARD_FIELDS = ['title', 'background'];
+
+// Tell a user they were added to a board
+const notifyMemberAdded = (board, userId, actor, role) => notify({
+  type: 'memberAdded',
+  recipients: [userId],
+  actor,
+  board,
+  message: `${actor.name} added you to "${board.title}"`,
+  data: { role },
+  email: { role }
+});
+
+// @desc    Create a new board, optionally from a template ({ template: "kanban" | templateId })
 // @route   POST /api/boards
 // @access  Private
 export const createBoard = async (req, res) => {
   try {
-    const { title, background } = req.body;
+    const { title, background, template } = req.body;
 
     if (!title) {
       return res.status(400).json({ message: 'Please provide a board title' });
     }
 
-    const board = await Board.create({
-      title,
-      owner: req.user._id,
-      background: background || '#0079bf',
-      members: [{
-        user: req.user._id,
-        role: 'admin'
-      }]
+    let board;
+    let source = {};
+
+    if (template) {
+      const found = await findTemplate(template, req.user._id);
+      if (!found) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+
+      ({ board } = await createBoardFromBlueprint(found.blueprint, { title, background, owner: req.user._id }));
+      source = { template: found.id };
+    } else {
+      board = await Board.create({
+        title,
+        owner: req.user._id,
+        background: background || '#0079bf',
+        members: [{
+          user: req.user._id,
+          role: 'admin'
+        }]
+      });
+    }
+
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.created',
+      entityType: 'board',
+      entity: board._id,
+      after: { title: board.title, background: board.background, ...source }
     });
 
     await board.populate('owner', 'name email');
@@ -41,11 +91,12 @@ export const createBoard = async (req, res) => {
 // @access  Private
 export const getUserBoards = async (req, res) => {
   try {
+    // Archived boards are hidden unless ?archived=true
+    const archived = req.query.archived === 'true';
+
     const boards = await Board.find({
-      $or: [
-        { owner: req.user._id },
-        { 'members.user': req.user._id }
-      ]
+      ...memberBoardsFilter(req.user._id),
+      archivedAt: archived ? { $ne: null } : null
     })
     .populate('owner', 'name email')
     .populate('members.user', 'name email')
@@ -60,66 +111,88 @@ export const getUserBoards = async (req, res) => {
 
 // @desc    Get single board by ID
 // @route   GET /api/boards/:id
-// @access  Private
+// @access  Private (board.view)
 export const getBoard = async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id)
-      .populate('owner', 'name email')
-      .populate('members.user', 'name email');
+    const board = req.board;
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
-    }
-
-    // Check if user is owner or member
-    const isMember = board.members.some(
-      member => member.user._id.toString() === req.user._id.toString()
-    );
-
-    if (!isMember && board.owner._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this board' });
-    }
+    await board.populate('owner', 'name email');
+    await board.populate('members.user', 'name email');
 
-    res.json(board);
+    // Include the caller's role so clients can hide actions they can't perform
+    setETag(res, board);
+    res.json({ ...board.toJSON(), role: req.boardRole });
   } catch (error) {
     console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Board not found' });
-    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 // @desc    Update board
 // @route   PUT /api/boards/:id
-// @access  Private
+// @access  Private (board.update)
 export const updateBoard = async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
+    const board = req.board;
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
-    }
-
-    // Check if user is owner or admin
-    const member = board.members.find(
-      m => m.user.toString() === req.user._id.toString()
-    );
+    const { title, background } = req.body;
+    const before = snapshot(board, BOARD_FIELDS);
+    const state = captureState(board);
 
-    if (board.owner.toString() !== req.user._id.toString() && 
-        (!member || member.role !== 'admin')) {
-      return res.status(403).json({ message: 'Not authorized to update this board' });
+    const { version, error: versionError } = parseExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
     }
 
-    const { title, background } = req.body;
-    
     if (title) board.title = title;
     if (background) board.background = background;
 
-    await board.save();
+    if (!(await saveIfVersion(board, version))) {
+      const current = await Board.findById(board._id);
+      if (!current) {
+        return res.status(404).json({ message: 'Board not found' });
+      }
+      return sendVersionConflict(res, {
+        entity: 'board',
+        current,
+        fields: BOARD_FIELDS,
+        requested: diffSnapshots(before, snapshot(board, BOARD_FIELDS)).after,
+        serialize: async (doc) => {
+          await doc.populate('owner', 'name email');
+          await doc.populate('members.user', 'name email');
+          return { ...doc.toJSON(), role: req.boardRole };
+        }
+      });
+    }
+
+    await recordChange({
+      board: board._id,
+      user: req.user._id,
+      action: 'board.updated',
+      entityType: 'board',
+      entity: board._id,
+      permission: 'board.update',
+      steps: [changeStep(board, state)]
+    });
+
+    const changes = diffSnapshots(before, snapshot(board, BOARD_FIELDS));
+    if (Object.keys(changes.after).length > 0) {
+      await logActivity({
+        board: board._id,
+        actor: req.user._id,
+        action: 'board.updated',
+        entityType: 'board',
+        entity: board._id,
+        ...changes
+      });
+    }
+
     await board.populate('owner', 'name email');
     await board.populate('members.user', 'name email');
 
+    emitBoardEvent(board._id, 'board.updated', board, req.user._id);
+
+    setETag(res, board);
     res.json(board);
   } catch (error) {
     console.error(error);
@@ -129,42 +202,155 @@ export const updateBoard = async (req, res) => {
 
 // @desc    Delete board
 // @route   DELETE /api/boards/:id
-// @access  Private
+// @access  Private (board.delete)
 export const deleteBoard = async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
+    const board = req.board;
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
+    // Remove lists, cards, comments, invites and activity along with the board
+    const deleted = await withTransaction(session => deleteBoardTree(board._id, session));
+
+    closeBoardChannel(board._id);
+
+    res.json({ message: 'Board removed', deleted });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Deep-copy a board: settings, lists and cards (options: cards, labels, dueDates, assignees, members)
+// @route   POST /api/boards/:id/duplicate
+// @access  Private (board.duplicate)
+export const duplicateBoard = async (req, res) => {
+  try {
+    const source = req.board;
+    const options = parseCopyOptions(req.body);
+
+    const blueprint = await createBlueprint(source, options);
+    const { board, lists, cards } = await createBoardFromBlueprint(blueprint, {
+      title: req.body.title || `${source.title} (copy)`,
+      background: req.body.background,
+      owner: req.user._id
+    });
+
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.created',
+      entityType: 'board',
+      entity: board._id,
+      after: { title: board.title, background: board.background, duplicatedFrom: source._id }
+    });
+
+    // Members copied with the board are told about it like any other addition
+    await Promise.all(board.members
+      .filter(member => member.user.toString() !== req.user._id.toString())
+      .map(member => notifyMemberAdded(board, member.user, req.user, member.role)));
+
+    await board.populate('owner', 'name email');
+    await board.populate('members.user', 'name email');
+
+    res.status(201).json({ ...board.toJSON(), copied: { lists, cards, options } });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Export a board with its members, lists and cards (?format=json|csv)
+// @route   GET /api/boards/:id/export
+// @access  Private (board.export)
+export const exportBoard = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    // Only owner can delete
-    if (board.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this board' });
+    const board = req.board;
+    await board.populate('owner', 'name email');
+    await board.populate('members.user', 'name email');
+
+    const snapshot = await createBoardExport(board);
+    const name = board.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'board';
+
+    res.attachment(`${name}.${format}`);
+    if (format === 'csv') {
+      return res.send(boardExportToCsv(snapshot));
     }
+    res.json(snapshot);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    await board.deleteOne();
+// @desc    Create a board from a board export or a Trello JSON export
+//          (multipart `file` or the export as the JSON body; ?title=&members=true)
+// @route   POST /api/boards/import
+// @access  Private
+export const importBoard = async (req, res) => {
+  try {
+    let data = req.body;
+    if (req.file) {
+      try {
+        data = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (error) {
+        return res.status(400).json({ message: 'The import file is not valid JSON' });
+      }
+    }
 
-    res.json({ message: 'Board removed' });
+    const parsed = await parseBoardImport(data, {
+      owner: req.user._id,
+      members: req.query.members === 'true'
+    });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const { board, lists, cards } = await createBoardFromBlueprint(parsed.blueprint, {
+      title: req.query.title || parsed.title || 'Imported board',
+      owner: req.user._id
+    });
+
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.created',
+      entityType: 'board',
+      entity: board._id,
+      after: { title: board.title, background: board.background, importedFrom: parsed.source }
+    });
+
+    await Promise.all(board.members
+      .filter(member => member.user.toString() !== req.user._id.toString())
+      .map(member => notifyMemberAdded(board, member.user, req.user, member.role)));
+
+    await board.populate('owner', 'name email');
+    await board.populate('members.user', 'name email');
+
+    res.status(201).json({
+      ...board.toJSON(),
+      imported: { source: parsed.source, lists, cards, unmapped: parsed.unmapped }
+    });
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 // @desc    Get card recommendations within board context
 // @route   GET /api/boards/:id/cards/:cardId/recommendations
-// @access  Private
+// @access  Private (card.view)
 export const getCardRecommendationsInBoard = async (req, res) => {
   try {
     const { id: boardId, cardId } = req.params;
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(boardId, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
-    }
-
     // Get card and verify it belongs to this board
     const card = await Card.findById(cardId);
 
@@ -203,41 +389,45 @@ export const getCardRecommendationsInBoard = async (req, res) => {
 
 // @desc    Add member to board
 // @route   POST /api/boards/:id/members
-// @access  Private
+// @access  Private (member.add)
 export const addMember = async (req, res) => {
   try {
-    const { userId, role } = req.body;
-    const board = await Board.findById(req.params.id);
+    const { userId } = req.body;
+    const role = normalizeRole(req.body.role || 'editor');
+    const board = req.board;
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ASSIGNABLE_ROLES.join(', ')}` });
     }
 
-    // Check if user is owner or admin
-    const member = board.members.find(
-      m => m.user.toString() === req.user._id.toString()
-    );
-
-    if (board.owner.toString() !== req.user._id.toString() && 
-        (!member || member.role !== 'admin')) {
-      return res.status(403).json({ message: 'Not authorized to add members' });
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
     }
 
-    // Check if user is already a member
-    const existingMember = board.members.find(
-      m => m.user.toString() === userId
-    );
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    if (existingMember) {
+    // Check if user is already a member (or the owner)
+    if (getBoardRole(board, userId) !== null) {
       return res.status(400).json({ message: 'User is already a member' });
     }
 
     board.members.push({
       user: userId,
-      role: role || 'member'
+      role
     });
 
     await board.save();
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'member.added',
+      entityType: 'member',
+      entity: userId,
+      after: { user: userId, role }
+    });
+    await notifyMemberAdded(board, userId, req.user, role);
     await board.populate('owner', 'name email');
     await board.populate('members.user', 'name email');
 
@@ -250,29 +440,19 @@ export const addMember = async (req, res) => {
 
 // @desc    Invite user to board
 // @route   POST /api/boards/:id/invite
-// @access  Private
+// @access  Private (member.invite)
 export const inviteUser = async (req, res) => {
   try {
-    const { email, role } = req.body;
+    const { email } = req.body;
+    const role = normalizeRole(req.body.role || 'editor');
+    const board = req.board;
 
     if (!email) {
       return res.status(400).json({ message: 'Please provide an email address' });
     }
 
-    const board = await Board.findById(req.params.id);
-
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
-    }
-
-    // Check if user is owner or admin
-    const member = board.members.find(
-      m => m.user.toString() === req.user._id.toString()
-    );
-
-    if (board.owner.toString() !== req.user._id.toString() && 
-        (!member || member.role !== 'admin')) {
-      return res.status(403).json({ message: 'Not authorized to invite members' });
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ASSIGNABLE_ROLES.join(', ')}` });
     }
 
     // Check if inviting self
@@ -284,21 +464,26 @@ export const inviteUser = async (req, res) => {
     const invitedUser = await User.findOne({ email: email.toLowerCase() });
 
     if (invitedUser) {
-      // User exists - add directly to board
-      const existingMember = board.members.find(
-        m => m.user.toString() === invitedUser._id.toString()
-      );
-
-      if (existingMember) {
+      // User exists - add directly to board (the owner counts as a member)
+      if (getBoardRole(board, invitedUser._id) !== null) {
         return res.status(400).json({ message: 'User is already a member of this board' });
       }
 
       board.members.push({
         user: invitedUser._id,
-        role: role || 'member'
+        role
       });
 
       await board.save();
+      await logActivity({
+        board: board._id,
+        actor: req.user._id,
+        action: 'member.added',
+        entityType: 'member',
+        entity: invitedUser._id,
+        after: { user: invitedUser._id, email: invitedUser.email, role }
+      });
+      await notifyMemberAdded(board, invitedUser._id, req.user, role);
       await board.populate('owner', 'name email');
       await board.populate('members.user', 'name email');
 
@@ -316,38 +501,58 @@ export const inviteUser = async (req, res) => {
         status: 'pending'
       });
 
-      if (existingInvite) {
+      if (existingInvite && existingInvite.expiresAt < new Date()) {
+        existingInvite.status = 'expired';
+        await existingInvite.save();
+      } else if (existingInvite) {
         return res.status(400).json({ 
-          message: 'An invitation has already been sent to this email',
+          message: 'An invitation has already been sent to this email, resend it instead',
           invite: {
+            _id: existingInvite._id,
             email: existingInvite.email,
-            token: existingInvite.token,
             expiresAt: existingInvite.expiresAt
           }
         });
       }
 
-      // Generate unique token
-      const token = crypto.randomBytes(32).toString('hex');
-
-      // Create invite that expires in 7 days
+      // Create invite with a unique token that expires in 7 days
       const invite = await Invite.create({
         board: board._id,
         email: email.toLowerCase(),
         invitedBy: req.user._id,
-        token,
-        role: role || 'member',
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+        role,
+        ...createInviteToken()
+      });
+
+      await logActivity({
+        board: board._id,
+        actor: req.user._id,
+        action: 'invite.created',
+        entityType: 'invite',
+        entity: invite._id,
+        after: { email: invite.email, role: invite.role }
       });
 
       await invite.populate('board', 'title');
       await invite.populate('invitedBy', 'name email');
+      await queueMail('invite', invite.email, {
+        board: invite.board,
+        inviter: invite.invitedBy,
+        token: invite.token,
+        expiresAt: invite.expiresAt
+      });
+
+      // Once email delivery is configured the token only travels by email
+      const emailed = isMailConfigured();
 
       return res.status(201).json({
-        message: 'Invitation created successfully. User will be added when they register.',
+        message: emailed
+          ? 'Invitation emailed. User will be added when they register.'
+          : 'Invitation created successfully. User will be added when they register.',
         invite: {
+          _id: invite._id,
           email: invite.email,
-          token: invite.token,
+          token: emailed ? undefined : invite.token,
           board: invite.board,
           invitedBy: invite.invitedBy,
           expiresAt: invite.expiresAt
@@ -388,35 +593,16 @@ export const acceptInvite = async (req, res) => {
       return res.status(403).json({ message: 'This invite was sent to a different email address' });
     }
 
-    const board = await Board.findById(invite.board._id);
+    const { board, joined } = await joinBoardFromInvite(invite, req.user);
 
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
     }
 
-    // Check if already a member
-    const existingMember = board.members.find(
-      m => m.user.toString() === req.user._id.toString()
-    );
-
-    if (existingMember) {
-      invite.status = 'accepted';
-      await invite.save();
+    if (!joined) {
       return res.status(400).json({ message: 'You are already a member of this board' });
     }
 
-    // Add user to board
-    board.members.push({
-      user: req.user._id,
-      role: invite.role
-    });
-
-    await board.save();
-
-    // Mark invite as accepted
-    invite.status = 'accepted';
-    await invite.save();
-
     await board.populate('owner', 'name email');
     await board.populate('members.user', 'name email');
 
@@ -432,33 +618,24 @@ export const acceptInvite = async (req, res) => {
 
 // @desc    Get pending invites for a board
 // @route   GET /api/boards/:id/invites
-// @access  Private
+// @access  Private (invite.view)
 export const getBoardInvites = async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
+    const board = req.board;
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
-    }
-
-    // Check if user is owner or admin
-    const member = board.members.find(
-      m => m.user.toString() === req.user._id.toString()
-    );
-
-    if (board.owner.toString() !== req.user._id.toString() && 
-        (!member || member.role !== 'admin')) {
-      return res.status(403).json({ message: 'Not authorized to view invites' });
-    }
-
-    const invites = await Invite.find({
+    const query = Invite.find({
       board: board._id,
       status: 'pending'
     })
     .populate('invitedBy', 'name email')
     .sort({ createdAt: -1 });
 
-    res.json(invites);
+    // Tokens are only shown while invites have to be shared by hand
+    if (isMailConfigured()) {
+      query.select('-token');
+    }
+
+    res.json(await query);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -1,129 +1,236 @@
+import mongoose from 'mongoose';
 import Card from '../models/Card.js';
-import Board from '../models/Board.js';
 import List from '../models/List.js';
+import Comment from '../models/Comment.js';
+import Attachment from '../models/Attachment.js';
 import { analyzeCard } from '../utils/recommendations.js';
 import { getCardInsights } from '../utils/geminiAI.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity, snapshot, diffSnapshots } from '../utils/activity.js';
+import { withTransaction } from '../utils/transaction.js';
+import { findCards } from '../utils/cardQuery.js';
+import { notify } from '../utils/notifications.js';
+import { getDueStatus, scheduleCardReminders } from '../utils/dueDates.js';
+import { getChecklistProgress } from '../utils/checklists.js';
+import { resolveCardLabels } from '../utils/labels.js';
+import { resolveCustomFieldValues, applyCustomFieldValues } from '../utils/customFields.js';
+import { can, checkBoardAccess, getBoardRole, PERMISSIONS } from '../utils/permissions.js';
+import { createCardMapper, summarizeTransfer, moveCardRecords, copyCardFields } from '../utils/cardTransfer.js';
+import { setETag, parseExpectedVersion, saveIfVersion, sendVersionConflict } from '../utils/concurrency.js';
+import { parseBatch, applyBatch, BATCH_OPERATIONS } from '../utils/cardBatch.js';
+import { captureState, changeStep, createStep, reorderSteps, deleteWithHistory, recordChange } from '../utils/journal.js';
+import { parsePlacement, parseOrderVersion, placeItem, claimOrder, resolveReorder } from '../utils/ordering.js';
 
-// Helper function to check if user has access to board
-const checkBoardAccess = async (boardId, userId) => {
-  const board = await Board.findById(boardId);
-  
-  if (!board) {
-    return { hasAccess: false, error: 'Board not found' };
-  }
+// Card fields tracked in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'startDate', 'dueDate', 'estimate', 'labels', 'assignedTo', 'completedAt', 'customFields'];
+
+// Notify users newly assigned to a card (never the person assigning)
+const notifyAssignees = (card, board, assigner, previous = []) => notify({
+  type: 'assignment',
+  recipients: card.assignedTo.filter(user => !previous.includes(user._id.toString())),
+  actor: assigner,
+  board,
+  card,
+  message: `${assigner.name} assigned you to "${card.title}"`
+});
 
-  const isMember = board.members.some(
-    member => member.user.toString() === userId.toString()
-  );
+// Add the computed dueStatus and checklist progress to a card
+const serializeCard = (card, now = new Date()) => ({
+  ...card.toJSON(),
+  dueStatus: getDueStatus(card, now),
+  checklistProgress: getChecklistProgress(card)
+});
 
-  if (!isMember && board.owner.toString() !== userId.toString()) {
-    return { hasAccess: false, error: 'Not authorized to access this board' };
+const serializeCards = (cards, now = new Date()) => cards.map(card => serializeCard(card, now));
+
+// 409 for a stale card update, with the card as now stored
+const sendCardConflict = async (res, cardId, requested) => {
+  const current = await Card.findById(cardId);
+  if (!current) {
+    return res.status(404).json({ message: 'Card not found' });
   }
 
-  return { hasAccess: true, board };
+  await sendVersionConflict(res, {
+    entity: 'card',
+    current,
+    fields: TRACKED_FIELDS,
+    requested,
+    serialize: async (card) => {
+      await card.populate('createdBy', 'name email');
+      await card.populate('assignedTo', 'name email');
+      await card.populate('list', 'title');
+      await card.populate('completedBy', 'name email');
+      return serializeCard(card);
+    }
+  });
+};
+
+// Send a page of a card listing
+const sendCardListing = (res, { cards, total, nextCursor }) => {
+  res.json({ cards: serializeCards(cards), total, nextCursor });
 };
 
 // @desc    Create a new card
 // @route   POST /api/cards
-// @access  Private
+// @access  Private (card.create)
 export const createCard = async (req, res) => {
   try {
-    const { title, description, list, board, dueDate, labels, position } = req.body;
+    const { title, description, list, startDate, dueDate, estimate, labels, customFields } = req.body;
+    const board = req.board._id;
 
-    if (!title || !list || !board) {
+    if (!title || !list) {
       return res.status(400).json({ message: 'Please provide title, list, and board' });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(board, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
+    const order = parseCardOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
     }
 
     // Verify list belongs to board
     const listDoc = await List.findById(list);
-    if (!listDoc || listDoc.board.toString() !== board) {
+    if (!listDoc || listDoc.board.toString() !== board.toString()) {
       return res.status(400).json({ message: 'Invalid list for this board' });
     }
 
-    // If no position provided, set to end
-    let cardPosition = position;
-    if (cardPosition === undefined || cardPosition === null) {
-      const lastCard = await Card.findOne({ list }).sort({ position: -1 });
-      cardPosition = lastCard ? lastCard.position + 1 : 0;
+    const cardLabels = resolveCardLabels(req.board, labels || []);
+    if (cardLabels.error) {
+      return res.status(400).json({ message: cardLabels.error });
+    }
+
+    const fieldValues = resolveCustomFieldValues(req.board, customFields || {});
+    if (fieldValues.error) {
+      return res.status(400).json({ message: fieldValues.error });
     }
 
-    const card = await Card.create({
+    const card = new Card({
       title,
       description: description || '',
       list,
       board,
-      position: cardPosition,
+      startDate: startDate || null,
       dueDate: dueDate || null,
-      labels: labels || [],
+      estimate: estimate ?? null,
+      labels: cardLabels.labels,
       createdBy: req.user._id
     });
+    applyCustomFieldValues(card, fieldValues.values);
+
+    // Without a placement the card goes to the end of the list
+    const placed = await withTransaction(async (session) => {
+      const result = await placeCardInList(card, listDoc._id, listDoc, order, session);
+      if (result.position === undefined) return result;
+
+      card.position = result.position;
+      await card.save({ session });
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, listDoc._id);
+    }
+
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.created',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.create',
+      steps: [await createStep('Card', card._id)]
+    });
+
+    if (card.dueDate) {
+      await scheduleCardReminders(card);
+    }
 
     await card.populate('createdBy', 'name email');
     await card.populate('assignedTo', 'name email');
 
+    emitBoardEvent(card.board, 'card.created', card, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'card.created',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      after: { title: card.title, list: card.list }
+    });
+
     res.status(201).json(card);
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Get all cards for a list
+// @desc    Get cards for a list (filterable, sortable, paginated)
 // @route   GET /api/cards/list/:listId
-// @access  Private
+// @access  Private (card.view)
 export const getListCards = async (req, res) => {
   try {
-    const { listId } = req.params;
-
-    const list = await List.findById(listId);
-    if (!list) {
-      return res.status(404).json({ message: 'List not found' });
-    }
+    const result = await findCards({ list: req.list._id, archivedAt: null }, req.query, [
+      { path: 'createdBy', select: 'name email' },
+      { path: 'assignedTo', select: 'name email' }
+    ], req.board);
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(list.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    const cards = await Card.find({ list: listId })
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .sort({ position: 1 });
-
-    res.json(cards);
+    sendCardListing(res, result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Get all cards for a board
+// @desc    Get cards for a board (filterable, sortable, paginated)
 // @route   GET /api/cards/board/:boardId
-// @access  Private
+// @access  Private (card.view)
 export const getBoardCards = async (req, res) => {
   try {
-    const { boardId } = req.params;
+    const result = await findCards({ board: req.board._id, archivedAt: null }, req.query, [
+      { path: 'createdBy', select: 'name email' },
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'list', select: 'title' }
+    ], req.board);
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(boardId, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    const cards = await Card.find({ board: boardId })
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('list', 'title')
-      .sort({ position: 1 });
+    sendCardListing(res, result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get overdue cards of a board
+// @route   GET /api/boards/:id/overdue
+// @access  Private (card.view)
+export const getOverdueCards = async (req, res) => {
+  try {
+    const cards = await Card.find({
+      board: req.board._id,
+      archivedAt: null,
+      completedAt: null,
+      dueDate: { $lt: new Date() }
+    })
+    .populate('createdBy', 'name email')
+    .populate('assignedTo', 'name email')
+    .populate('list', 'title')
+    .sort({ dueDate: 1 });
 
-    res.json(cards);
+    res.json(serializeCards(cards));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -132,50 +239,37 @@ export const getBoardCards = async (req, res) => {
 
 // @desc    Get single card
 // @route   GET /api/cards/:id
-// @access  Private
+// @access  Private (card.view)
 export const getCard = async (req, res) => {
   try {
-    const card = await Card.findById(req.params.id)
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('list', 'title');
+    const card = req.card;
 
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
-    }
+    await card.populate('createdBy', 'name email');
+    await card.populate('assignedTo', 'name email');
+    await card.populate('list', 'title');
+    await card.populate('cover', 'filename mimeType size');
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(card.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
-    }
+    const [commentCount, attachments] = await Promise.all([
+      Comment.countDocuments({ card: card._id }),
+      Attachment.find({ card: card._id })
+        .populate('uploadedBy', 'name email')
+        .sort({ createdAt: -1 })
+    ]);
 
-    res.json(card);
+    setETag(res, card);
+    res.json({ ...serializeCard(card), commentCount, attachments });
   } catch (error) {
     console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Card not found' });
-    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 // @desc    Get recommendations for a card
 // @route   GET /api/cards/:id/recommendations
-// @access  Private
+// @access  Private (card.view)
 export const getCardRecommendations = async (req, res) => {
   try {
-    const card = await Card.findById(req.params.id);
-
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
-    }
-
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(card.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
-    }
+    const card = req.card;
 
     // Get all cards and lists for the board
     const [boardCards, boardLists] = await Promise.all([
@@ -202,68 +296,145 @@ export const getCardRecommendations = async (req, res) => {
     });
   } catch (error) {
     console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Card not found' });
-    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 // @desc    Update card
 // @route   PUT /api/cards/:id
-// @access  Private
+// @access  Private (card.update)
 export const updateCard = async (req, res) => {
   try {
-    const card = await Card.findById(req.params.id);
+    const card = req.card;
 
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
+    const { title, description, startDate, dueDate, estimate, labels, assignedTo, completed, customFields } = req.body;
+    const before = snapshot(card, TRACKED_FIELDS);
+    const state = captureState(card);
+
+    const { version, error: versionError } = parseExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
     }
+    const previousAssignees = card.assignedTo.map(id => id.toString());
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(card.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    const cardLabels = labels !== undefined ? resolveCardLabels(req.board, labels) : null;
+    if (cardLabels && cardLabels.error) {
+      return res.status(400).json({ message: cardLabels.error });
     }
 
-    const { title, description, dueDate, labels, assignedTo } = req.body;
+    // Assignees get notified, so they must be able to see the board
+    if (assignedTo !== undefined && !(Array.isArray(assignedTo) && assignedTo.every(id =>
+      mongoose.isValidObjectId(id) && getBoardRole(req.board, id) !== null))) {
+      return res.status(400).json({ message: 'Assignees must be members of the board' });
+    }
+
+    // Only the fields sent are changed; null clears a value
+    const fieldValues = customFields !== undefined ? resolveCustomFieldValues(req.board, customFields) : null;
+    if (fieldValues && fieldValues.error) {
+      return res.status(400).json({ message: fieldValues.error });
+    }
 
     if (title !== undefined) card.title = title;
     if (description !== undefined) card.description = description;
+    if (startDate !== undefined) card.startDate = startDate;
     if (dueDate !== undefined) card.dueDate = dueDate;
-    if (labels !== undefined) card.labels = labels;
-    if (assignedTo !== undefined) card.assignedTo = assignedTo;
+    if (estimate !== undefined) card.estimate = estimate;
+    if (cardLabels) card.labels = cardLabels.labels;
+    if (assignedTo !== undefined) card.assignedTo = [...new Set(assignedTo.map(String))];
+    if (fieldValues) applyCustomFieldValues(card, fieldValues.values);
+    if (completed !== undefined && Boolean(completed) !== Boolean(card.completedAt)) {
+      card.completedAt = completed ? new Date() : null;
+      card.completedBy = completed ? req.user._id : null;
+    }
+
+    if (card.startDate && card.dueDate && card.startDate > card.dueDate) {
+      return res.status(400).json({ message: 'Start date must be before the due date' });
+    }
+
+    // Reminders and the overdue flag follow the due date and completion state
+    const dueChanged = card.isModified('dueDate') || card.isModified('completedAt');
+    if (dueChanged) card.overdueAt = null;
+
+    // Refuse to overwrite changes made since the version the client edited
+    if (!(await saveIfVersion(card, version))) {
+      return sendCardConflict(res, card._id, diffSnapshots(before, snapshot(card, TRACKED_FIELDS)).after);
+    }
+
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.updated',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.update',
+      steps: [changeStep(card, state)]
+    });
+
+    if (dueChanged) {
+      await scheduleCardReminders(card);
+    }
+
+    const changes = diffSnapshots(before, snapshot(card, TRACKED_FIELDS));
+    if (Object.keys(changes.after).length > 0) {
+      await logActivity({
+        board: card.board,
+        actor: req.user._id,
+        action: 'card.updated',
+        entityType: 'card',
+        entity: card._id,
+        card: card._id,
+        ...changes
+      });
+    }
 
-    await card.save();
     await card.populate('createdBy', 'name email');
     await card.populate('assignedTo', 'name email');
     await card.populate('list', 'title');
+    await card.populate('completedBy', 'name email');
+    await notifyAssignees(card, req.board, req.user, previousAssignees);
 
-    res.json(card);
+    emitBoardEvent(card.board, 'card.updated', card, req.user._id);
+
+    setETag(res, card);
+    res.json(serializeCard(card));
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 // @desc    Delete card
 // @route   DELETE /api/cards/:id
-// @access  Private
+// @access  Private (card.delete)
 export const deleteCard = async (req, res) => {
   try {
-    const card = await Card.findById(req.params.id);
-
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
-    }
+    const card = req.card;
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(card.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
-    }
+    // Kept in the journal so the delete can be undone
+    const { step } = await withTransaction(session => deleteWithHistory('Card', card._id, session));
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.deleted',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.delete',
+      steps: [step]
+    });
 
-    await card.deleteOne();
+    emitBoardEvent(card.board, 'card.deleted', { _id: card._id, list: card.list }, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'card.deleted',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      before: snapshot(card, ['list', ...TRACKED_FIELDS])
+    });
 
     res.json({ message: 'Card removed' });
   } catch (error) {
@@ -272,42 +443,230 @@ export const deleteCard = async (req, res) => {
   }
 };
 
-// @desc    Move card to different list or position
+// Read { placement, version } for placing a card from a request body
+const parseCardOrder = (body) => {
+  const { placement, error } = parsePlacement(body);
+  if (error) return { error };
+
+  const { version, error: versionError } = parseOrderVersion(body);
+  return versionError ? { error: versionError } : { placement, version };
+};
+
+// Work out a card's position in a list and claim the list's order version
+// (the list it leaves gets a new version too). Returns { position, version },
+// { error } or { conflict: true }.
+const placeCardInList = async (card, fromList, list, { placement, version }, session) => {
+  const placed = await placeItem(Card, { list: list._id, archivedAt: null }, placement, card._id, session);
+  if (placed.error) return placed;
+
+  const claimed = await claimOrder(List, list._id, 'orderVersion', version, session);
+  if (!claimed) return { conflict: true };
+
+  if (fromList.toString() !== list._id.toString()) {
+    await claimOrder(List, fromList, 'orderVersion', undefined, session);
+  }
+
+  return { position: placed.position, version: claimed.orderVersion };
+};
+
+// 409 with the list's current order so a stale client can retry against it
+const sendOrderConflict = async (res, listId) => {
+  const [list, cards] = await Promise.all([
+    List.findById(listId, 'orderVersion'),
+    Card.find({ list: listId, archivedAt: null }, 'position').sort({ position: 1 })
+  ]);
+
+  res.status(409).json({
+    message: 'The list was reordered by someone else; reload it and try again',
+    version: list ? list.orderVersion : null,
+    cards
+  });
+};
+
+// Load the board of a destination list and check the user may add cards to it
+const findDestination = async (req, list) => {
+  if (list.archivedAt) {
+    return { status: 400, error: 'Cannot add cards to an archived list' };
+  }
+  if (list.board.toString() === req.board._id.toString() && can(req.boardRole, 'card.create')) {
+    return { board: req.board };
+  }
+
+  const access = await checkBoardAccess(list.board, req.user._id, 'card.create');
+  return access.hasAccess ? { board: access.board } : access;
+};
+
+// Move a card to a list on another board, translating its labels, custom fields and assignees
+const moveCardToBoard = async (req, res, newList, order) => {
+  const card = req.card;
+
+  const destination = await findDestination(req, newList);
+  if (!destination.board) {
+    return res.status(destination.status).json({ message: destination.error });
+  }
+
+  const source = req.board;
+  const target = destination.board;
+  const mapper = createCardMapper(source, target);
+  const mapped = mapper.mapCard(card);
+  const before = { board: source._id, list: card.list, position: card.position };
+  const state = captureState(card);
+  const oldList = await List.findById(card.list, 'title');
+
+  const placed = await withTransaction(async (session) => {
+    const result = await placeCardInList(card, before.list, newList, order, session);
+    if (result.position === undefined) return result;
+
+    if (mapper.labelsCreated.length > 0) {
+      await target.save({ session });
+    }
+    card.set({ board: target._id, list: newList._id, position: result.position, ...mapped });
+    await card.save({ session });
+    await moveCardRecords([card._id], target._id, session);
+    return result;
+  });
+
+  if (placed.error) {
+    return res.status(400).json({ message: placed.error });
+  }
+  if (placed.conflict) {
+    return sendOrderConflict(res, newList._id);
+  }
+
+  // Undone from the source board; labels added to the target's catalog stay
+  await recordChange({
+    board: source._id,
+    user: req.user._id,
+    action: 'card.moved',
+    entityType: 'card',
+    entity: card._id,
+    permission: 'card.move',
+    steps: [changeStep(card, state)]
+  });
+
+  const transfer = summarizeTransfer(mapper);
+  const after = { board: target._id, list: newList._id, listTitle: newList.title, position: card.position };
+
+  // Both boards' logs record the move
+  await Promise.all([source._id, target._id].map(board => logActivity({
+    board,
+    actor: req.user._id,
+    action: 'card.moved',
+    entityType: 'card',
+    entity: card._id,
+    card: card._id,
+    before: { ...before, boardTitle: source.title, listTitle: oldList ? oldList.title : null },
+    after: { ...after, boardTitle: target.title, dropped: transfer }
+  })));
+
+  await card.populate('createdBy', 'name email');
+  await card.populate('assignedTo', 'name email');
+  await card.populate('list', 'title orderVersion');
+
+  await notify({
+    type: 'cardMoved',
+    recipients: card.assignedTo,
+    actor: req.user,
+    board: target,
+    card,
+    message: `${req.user.name} moved "${card.title}" to ${newList.title} on ${target.title}`,
+    data: { from: before.list, to: newList._id, fromBoard: source._id },
+    email: { fromList: oldList ? `${oldList.title} (${source.title})` : 'another board', toList: newList.title }
+  });
+
+  emitBoardEvent(source._id, 'card.movedOut', { _id: card._id, list: before.list, board: target._id }, req.user._id);
+  emitBoardEvent(target._id, 'card.movedIn', card, req.user._id);
+
+  res.json({ ...serializeCard(card), transfer });
+};
+
+// @desc    Move card to a list and/or position ({ listId, afterId | beforeId | index, version })
 // @route   PUT /api/cards/:id/move
-// @access  Private
+// @access  Private (card.move; card.create on the destination board)
 export const moveCard = async (req, res) => {
   try {
-    const card = await Card.findById(req.params.id);
+    const card = req.card;
 
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
-    }
+    const { listId } = req.body;
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(card.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    if (!listId) {
+      return res.status(400).json({ message: 'Please provide listId' });
     }
 
-    const { listId, position } = req.body;
-
-    if (!listId || position === undefined) {
-      return res.status(400).json({ message: 'Please provide listId and position' });
+    const order = parseCardOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
     }
 
-    // Verify list belongs to same board
     const newList = await List.findById(listId);
-    if (!newList || newList.board.toString() !== card.board.toString()) {
+    if (!newList) {
       return res.status(400).json({ message: 'Invalid list for this board' });
     }
 
-    card.list = listId;
-    card.position = position;
+    if (newList.board.toString() !== card.board.toString()) {
+      await moveCardToBoard(req, res, newList, order);
+      return;
+    }
+
+    const before = { list: card.list, position: card.position };
+    const state = captureState(card);
+    const oldList = await List.findById(card.list, 'title');
+
+    const placed = await withTransaction(async (session) => {
+      const result = await placeCardInList(card, before.list, newList, order, session);
+      if (result.position === undefined) return result;
+
+      card.list = newList._id;
+      card.position = result.position;
+      await card.save({ session });
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, newList._id);
+    }
+
+    await recordChange({
+      board: card.board,
+      user: req.user._id,
+      action: 'card.moved',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.move',
+      steps: [changeStep(card, state)]
+    });
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'card.moved',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      before: { ...before, listTitle: oldList ? oldList.title : null },
+      after: { list: newList._id, listTitle: newList.title, position: card.position }
+    });
 
-    await card.save();
     await card.populate('createdBy', 'name email');
     await card.populate('assignedTo', 'name email');
-    await card.populate('list', 'title');
+    await card.populate('list', 'title orderVersion');
+
+    if (before.list.toString() !== newList._id.toString()) {
+      await notify({
+        type: 'cardMoved',
+        recipients: card.assignedTo,
+        actor: req.user,
+        board: req.board,
+        card,
+        message: `${req.user.name} moved "${card.title}" to ${newList.title}`,
+        data: { from: before.list, to: newList._id },
+        email: { fromList: oldList ? oldList.title : 'another list', toList: newList.title }
+      });
+    }
+
+    emitBoardEvent(card.board, 'card.moved', card, req.user._id);
 
     res.json(card);
   } catch (error) {
@@ -316,41 +675,406 @@ export const moveCard = async (req, res) => {
   }
 };
 
+// @desc    Copy a card to a list on this or another board ({ listId, title, afterId | beforeId | index, version })
+// @route   POST /api/cards/:id/copy
+// @access  Private (card.view; card.create on the destination board)
+export const copyCard = async (req, res) => {
+  try {
+    const { listId, title } = req.body;
+
+    if (!listId) {
+      return res.status(400).json({ message: 'Please provide listId' });
+    }
+
+    const order = parseCardOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
+    }
+
+    const list = await List.findById(listId);
+    if (!list) {
+      return res.status(400).json({ message: 'Invalid list for this board' });
+    }
+
+    const destination = await findDestination(req, list);
+    if (!destination.board) {
+      return res.status(destination.status).json({ message: destination.error });
+    }
+
+    const target = destination.board;
+    const mapper = createCardMapper(req.board, target);
+
+    const card = new Card({
+      ...copyCardFields(req.card, mapper),
+      title: title || req.card.title,
+      list: list._id,
+      board: target._id,
+      createdBy: req.user._id
+    });
+
+    const placed = await withTransaction(async (session) => {
+      const result = await placeCardInList(card, list._id, list, order, session);
+      if (result.position === undefined) return result;
+
+      if (mapper.labelsCreated.length > 0) {
+        await target.save({ session });
+      }
+      card.position = result.position;
+      await card.save({ session });
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, list._id);
+    }
+
+    // The copy is undone (deleted) from the board it was added to
+    await recordChange({
+      board: target._id,
+      user: req.user._id,
+      action: 'card.created',
+      entityType: 'card',
+      entity: card._id,
+      permission: 'card.create',
+      steps: [await createStep('Card', card._id)]
+    });
+
+    if (card.dueDate) {
+      await scheduleCardReminders(card);
+    }
+
+    await card.populate('createdBy', 'name email');
+    await card.populate('assignedTo', 'name email');
+
+    const transfer = summarizeTransfer(mapper);
+
+    emitBoardEvent(target._id, 'card.created', card, req.user._id);
+    await logActivity({
+      board: target._id,
+      actor: req.user._id,
+      action: 'card.created',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      after: { title: card.title, list: card.list, copiedFrom: req.card._id, dropped: transfer }
+    });
+
+    if (card.assignedTo.length > 0) {
+      await notifyAssignees(card, target, req.user, [req.user._id.toString()]);
+    }
+
+    res.status(201).json({ ...serializeCard(card), transfer });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Apply operations to many cards ({ mode: 'atomic' | 'partial', operations: [{ op, cards, ... }] })
+// @route   POST /api/cards/batch
+// @access  Private (each operation's permission on every card's board)
+export const batchCards = async (req, res) => {
+  try {
+    const batch = parseBatch(req.body);
+    if (batch.error) {
+      return res.status(400).json({ message: batch.error });
+    }
+
+    const cardIds = [...new Set(batch.items.map(item => item.card))];
+    const cards = new Map((await Card.find({ _id: { $in: cardIds } })).map(card => [card._id.toString(), card]));
+
+    // One access check per board
+    const boardIds = [...new Set([...cards.values()].map(card => card.board.toString()))];
+    const access = new Map(await Promise.all(boardIds.map(async boardId => (
+      [boardId, await checkBoardAccess(boardId, req.user._id, 'card.view')]
+    ))));
+
+    const before = new Map([...cards].map(([id, card]) => [id, {
+      ...snapshot(card, ['list', 'position', 'archivedAt', ...TRACKED_FIELDS]),
+      assignees: card.assignedTo.map(String)
+    }]));
+    const states = new Map([...cards].map(([id, card]) => [id, captureState(card)]));
+
+    const { results, changed, removed, touchedLists } = await applyBatch(batch, { cards, access, user: req.user });
+    const failed = results.filter(result => !result.ok).length;
+
+    // Atomic batches write nothing unless every item passed
+    if (batch.mode === 'atomic' && failed > 0) {
+      return res.status(400).json({
+        message: `No changes were made: ${failed} of ${results.length} operations failed`,
+        mode: batch.mode,
+        applied: 0,
+        failed,
+        results
+      });
+    }
+
+    const saved = [...changed].filter(id => !removed.has(id)).map(id => cards.get(id));
+    saved.forEach((card) => {
+      const previous = before.get(card._id.toString());
+      if (card.isModified('dueDate') || card.isModified('completedAt')) card.overdueAt = null;
+      // Edits change the card's version, like PUT /api/cards/:id
+      if (JSON.stringify(snapshot(card, TRACKED_FIELDS)) !== JSON.stringify(pick(previous, TRACKED_FIELDS))) {
+        card.increment();
+      }
+    });
+
+    if (batch.mode === 'atomic') {
+      const deleted = await withTransaction(async (session) => {
+        for (const card of saved) {
+          await card.save({ session });
+        }
+        const steps = [];
+        for (const id of removed) {
+          steps.push((await deleteWithHistory('Card', cards.get(id)._id, session)).step);
+        }
+        for (const listId of touchedLists) {
+          await claimOrder(List, listId, 'orderVersion', undefined, session);
+        }
+        return steps;
+      });
+
+      await recordBatch(req, { saved, deleted, states, results, cards });
+      await reportBatchChanges(req, { saved, removed: [...removed].map(id => cards.get(id)), before, access });
+      return res.json({ mode: batch.mode, applied: results.length - failed, failed, results });
+    }
+
+    // Partial batches write each card on its own; a failed write fails that card's items
+    const written = { saved: [], removed: [], deleted: [] };
+    for (const card of [...saved, ...[...removed].map(id => cards.get(id))]) {
+      const id = card._id.toString();
+      const { failure, step } = await writeBatchCard(card, before.get(id), removed.has(id));
+
+      if (failure) {
+        results.forEach((result, index) => {
+          if (result.ok && result.card === id) results[index] = { ...result, ok: false, ...failure };
+        });
+      } else if (removed.has(id)) {
+        written.removed.push(card);
+        written.deleted.push(step);
+      } else {
+        written.saved.push(card);
+      }
+    }
+
+    await recordBatch(req, { saved: written.saved, deleted: written.deleted, states, results, cards });
+    await reportBatchChanges(req, { saved: written.saved, removed: written.removed, before, access });
+
+    const failedItems = results.filter(result => !result.ok).length;
+    res.json({ mode: batch.mode, applied: results.length - failedItems, failed: failedItems, results });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Some cards were changed while the batch ran; try again' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const pick = (object, fields) => Object.fromEntries(fields.map(field => [field, object[field]]));
+
+// Write one card of a partial batch in its own transaction.
+// Returns { step } (the delete's journal step for removed cards), or
+// { failure } with the { status, error } to report on the card's items.
+const writeBatchCard = async (card, previous, remove) => {
+  try {
+    return await withTransaction(async (session) => {
+      if (remove) {
+        return deleteWithHistory('Card', card._id, session);
+      }
+
+      await card.save({ session });
+      // A moved card changes the order of the list it left and the one it joined
+      if (previous.list !== card.list.toString()) {
+        for (const listId of [previous.list, card.list]) {
+          await claimOrder(List, listId, 'orderVersion', undefined, session);
+        }
+      }
+      return {};
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return { failure: { status: 409, error: 'The card was changed while the batch ran; try again' } };
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return { failure: { status: 400, error: error.message } };
+    }
+    console.error(error);
+    return { failure: { status: 500, error: 'The card could not be saved' } };
+  }
+};
+
+// Undo history for a written batch: one entry per board, which needs the
+// strictest permission among the operations applied there
+const recordBatch = async (req, { saved, deleted, states, results, cards }) => {
+  const steps = new Map();
+  const add = (boardId, step) => {
+    if (step) steps.set(boardId.toString(), [...(steps.get(boardId.toString()) || []), step]);
+  };
+
+  saved.forEach(card => add(card.board, changeStep(card, states.get(card._id.toString()))));
+  deleted.forEach(step => add(step.records.Card[0].board, step));
+
+  for (const [board, boardSteps] of steps) {
+    const permission = results
+      .filter(result => result.ok && cards.get(result.card).board.toString() === board)
+      .map(result => BATCH_OPERATIONS[result.op].action)
+      .reduce((strictest, action) => (PERMISSIONS[action].length < PERMISSIONS[strictest].length ? action : strictest));
+
+    await recordChange({
+      board,
+      user: req.user._id,
+      action: 'cards.batch',
+      entityType: 'board',
+      entity: board,
+      permission,
+      steps: boardSteps
+    });
+  }
+};
+
+// Reminders, activity, notifications and real-time events for a written batch
+const reportBatchChanges = async (req, { saved, removed, before, access }) => {
+  const actor = req.user._id;
+
+  for (const card of removed) {
+    const previous = before.get(card._id.toString());
+    emitBoardEvent(card.board, 'card.deleted', { _id: card._id, list: previous.list }, actor);
+    await logActivity({
+      board: card.board,
+      actor,
+      action: 'card.deleted',
+      entityType: 'card',
+      entity: card._id,
+      card: card._id,
+      before: pick(previous, ['list', ...TRACKED_FIELDS])
+    });
+  }
+
+  for (const card of saved) {
+    const previous = before.get(card._id.toString());
+    const current = snapshot(card, ['list', 'position', 'archivedAt', ...TRACKED_FIELDS]);
+
+    if (previous.dueDate !== current.dueDate || previous.completedAt !== current.completedAt ||
+        previous.archivedAt !== current.archivedAt) {
+      await scheduleCardReminders(card);
+    }
+
+    const changes = diffSnapshots(pick(previous, TRACKED_FIELDS), pick(current, TRACKED_FIELDS));
+    const moved = previous.list !== current.list;
+    const archived = !previous.archivedAt && current.archivedAt;
+
+    if (Object.keys(changes.after).length > 0) {
+      await logActivity({ board: card.board, actor, action: 'card.updated', entityType: 'card', entity: card._id, card: card._id, ...changes });
+    }
+    if (moved) {
+      await logActivity({
+        board: card.board,
+        actor,
+        action: 'card.moved',
+        entityType: 'card',
+        entity: card._id,
+        card: card._id,
+        before: { list: previous.list, position: previous.position },
+        after: { list: card.list, position: card.position }
+      });
+    }
+    if (archived) {
+      await logActivity({ board: card.board, actor, action: 'card.archived', entityType: 'card', entity: card._id, card: card._id, after: { archivedAt: card.archivedAt } });
+    }
+
+    await card.populate('createdBy', 'name email');
+    await card.populate('assignedTo', 'name email');
+    await card.populate('list', 'title');
+
+    if (card.assignedTo.some(user => !previous.assignees.includes(user._id.toString()))) {
+      await notifyAssignees(card, access.get(card.board.toString()).board, req.user, previous.assignees);
+    }
+
+    if (Object.keys(changes.after).length > 0) emitBoardEvent(card.board, 'card.updated', card, actor);
+    if (moved) emitBoardEvent(card.board, 'card.moved', card, actor);
+    if (archived) emitBoardEvent(card.board, 'card.archived', { _id: card._id, list: card.list._id, archivedAt: card.archivedAt }, actor);
+  }
+};
+
 // @desc    Reorder cards within a list
 // @route   PUT /api/cards/reorder
-// @access  Private
+// @access  Private (card.reorder)
 export const reorderCards = async (req, res) => {
   try {
-    const { listId, cardOrders } = req.body;
+    const { cardOrders } = req.body;
+    const list = req.list;
 
-    if (!listId || !cardOrders || !Array.isArray(cardOrders)) {
+    if (!cardOrders || !Array.isArray(cardOrders)) {
       return res.status(400).json({ message: 'Please provide listId and cardOrders array' });
     }
 
-    const list = await List.findById(listId);
-    if (!list) {
-      return res.status(404).json({ message: 'List not found' });
+    const { version, error: versionError } = parseOrderVersion(req.body);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(list.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    if (!cardOrders.every(order => order && typeof order === 'object')) {
+      return res.status(400).json({ message: 'Each entry of cardOrders must be an object' });
     }
 
-    // Update positions
-    const updatePromises = cardOrders.map(({ cardId, position }) => 
-      Card.findByIdAndUpdate(cardId, { position }, { new: true })
-    );
+    const orders = cardOrders.map(({ cardId, position }) => ({ id: cardId, position }));
+
+    // Validate every card against this list, then write all positions at once
+    const result = await withTransaction(async (session) => {
+      const resolved = await resolveReorder(Card, { list: list._id, archivedAt: null }, orders, session);
+      if (resolved.error) return resolved;
 
-    await Promise.all(updatePromises);
+      const claimed = await claimOrder(List, list._id, 'orderVersion', version, session);
+      if (!claimed) return { conflict: true };
+
+      const reordered = await Card.find({ _id: { $in: orders.map(({ id }) => id) } }).session(session);
+      await Card.bulkWrite(resolved.updates, { session });
+      return { version: claimed.orderVersion, steps: reorderSteps(reordered, orders) };
+    });
 
-    const cards = await Card.find({ list: listId })
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    if (result.conflict) {
+      return sendOrderConflict(res, list._id);
+    }
+
+    await recordChange({
+      board: list.board,
+      user: req.user._id,
+      action: 'cards.reordered',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'card.reorder',
+      steps: result.steps
+    });
+
+    const cards = await Card.find({ list: list._id, archivedAt: null })
       .populate('createdBy', 'name email')
       .populate('assignedTo', 'name email')
       .sort({ position: 1 });
 
-    res.json(cards);
+    emitBoardEvent(list.board, 'cards.reordered', { listId: list._id, version: result.version, cards }, req.user._id);
+    await logActivity({
+      board: list.board,
+      actor: req.user._id,
+      action: 'cards.reordered',
+      entityType: 'list',
+      entity: list._id,
+      after: { cardOrders }
+    });
+
+    res.json({ listId: list._id, version: result.version, cards });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import CardTemplate from '../models/CardTemplate.js';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import List from '../models/List.js';
+import { getBoardRole } from '../utils/permissions.js';
+import { resolveCardLabels } from '../utils/labels.js';
+import { parseDuration } from '../utils/dueDates.js';
+import { createCardFromTemplate } from '../utils/recurringCards.js';
+import { withTransaction } from '../utils/transaction.js';
+
+// Validate template fields from a request; only the fields present are returned
+const parseTemplateInput = (board, body) => {
+  const fields = {};
+  const { name, title, description, labels, checklists, assignees, dueIn } = body;
+
+  if (name !== undefined) fields.name = name;
+  if (title !== undefined) fields.title = title;
+  if (description !== undefined) fields.description = description;
+
+  if (labels !== undefined) {
+    const result = resolveCardLabels(board, labels);
+    if (result.error) return { error: result.error };
+    fields.labels = result.labels;
+  }
+
+  if (assignees !== undefined) {
+    if (!Array.isArray(assignees) || !assignees.every(user => mongoose.isValidObjectId(user) && getBoardRole(board, user) !== null)) {
+      return { error: 'Assignees must be members of the board' };
+    }
+    fields.assignees = [...new Set(assignees.map(String))];
+  }
+
+  if (checklists !== undefined) {
+    const valid = Array.isArray(checklists) && checklists.every(checklist => (
+      checklist && typeof checklist.title === 'string' &&
+      (checklist.items === undefined || (Array.isArray(checklist.items) && checklist.items.every(item => typeof item === 'string')))
+    ));
+    if (!valid) {
+      return { error: 'checklists must be an array of { title, items: [text] }' };
+    }
+    fields.checklists = checklists.map(({ title: checklistTitle, items = [] }) => ({
+      title: checklistTitle,
+      items: items.filter(item => item.trim())
+    }));
+  }
+
+  // Minutes, or a duration such as "2d"
+  if (dueIn !== undefined) {
+    if (dueIn === null) {
+      fields.dueIn = null;
+    } else {
+      const duration = typeof dueIn === 'number' ? dueIn * 60 * 1000 : parseDuration(dueIn);
+      const minutes = duration === null ? NaN : duration / (60 * 1000);
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        return { error: 'dueIn must be minutes or a duration such as "2d"' };
+      }
+      fields.dueIn = minutes;
+    }
+  }
+
+  return { fields };
+};
+
+const findTemplate = async (req, res) => {
+  const template = await CardTemplate.findOne({ _id: req.params.templateId, board: req.board._id });
+  if (!template) {
+    res.status(404).json({ message: 'Card template not found' });
+  }
+  return template;
+};
+
+// @desc    Get a board's card templates
+// @route   GET /api/boards/:id/card-templates
+// @access  Private (cardTemplate.view)
+export const getCardTemplates = async (req, res) => {
+  try {
+    const templates = await CardTemplate.find({ board: req.board._id })
+      .populate('assignees', 'name email')
+      .sort({ name: 1 });
+
+    res.json(templates);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a card template
+// @route   POST /api/boards/:id/card-templates
+// @access  Private (cardTemplate.manage)
+export const createCardTemplate = async (req, res) => {
+  try {
+    const { name, title } = req.body;
+
+    if (!name || !title) {
+      return res.status(400).json({ message: 'Please provide name and title' });
+    }
+
+    const { fields, error } = parseTemplateInput(req.board, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const template = await CardTemplate.create({
+      ...fields,
+      board: req.board._id,
+      createdBy: req.user._id
+    });
+
+    await template.populate('assignees', 'name email');
+
+    res.status(201).json(template);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a card template
+// @route   PUT /api/boards/:id/card-templates/:templateId
+// @access  Private (cardTemplate.manage)
+export const updateCardTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { fields, error } = parseTemplateInput(req.board, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    template.set(fields);
+    await template.save();
+    await template.populate('assignees', 'name email');
+
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card template not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a card template and the recurrence rules that use it
+// @route   DELETE /api/boards/:id/card-templates/:templateId
+// @access  Private (cardTemplate.manage)
+export const deleteCardTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const rules = await withTransaction(async (session) => {
+      const { deletedCount } = await RecurrenceRule.deleteMany({ template: template._id }, { session });
+      await CardTemplate.deleteOne({ _id: template._id }, { session });
+      return deletedCount;
+    });
+
+    res.json({ message: 'Card template removed', recurrences: rules });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card template not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a card from a template ({ list })
+// @route   POST /api/boards/:id/card-templates/:templateId/cards
+// @access  Private (card.create)
+export const createCardFromTemplateHandler = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { list: listId } = req.body;
+    if (!listId) {
+      return res.status(400).json({ message: 'Please provide list' });
+    }
+
+    const list = mongoose.isValidObjectId(listId)
+      ? await List.findOne({ _id: listId, board: req.board._id, archivedAt: null })
+      : null;
+    if (!list) {
+      return res.status(400).json({ message: 'Invalid list for this board' });
+    }
+
+    const card = await createCardFromTemplate(template, { board: req.board, list, actor: req.user._id });
+
+    res.status(201).json(card);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card template not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,345 @@
+import Card from '../models/Card.js';
+import List from '../models/List.js';
+import { getBoardRole } from '../utils/permissions.js';
+import { getCardInsights } from '../utils/geminiAI.js';
+import { getChecklistProgress, nextPosition, applyOrder } from '../utils/checklists.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+
+// Save the card and broadcast its checklists
+const saveChecklists = async (req) => {
+  const card = req.card;
+
+  await card.save();
+  await card.populate('checklists.items.assignee', 'name email');
+
+  const payload = {
+    card: card._id,
+    checklists: card.checklists,
+    checklistProgress: getChecklistProgress(card)
+  };
+
+  emitBoardEvent(card.board, 'checklists.updated', payload, req.user._id);
+  return payload;
+};
+
+// Item assignees must be on the board
+const validateAssignee = (board, assignee) => {
+  return !assignee || getBoardRole(board, assignee) !== null;
+};
+
+const findChecklist = (req, res) => {
+  const checklist = req.card.checklists.id(req.params.checklistId);
+  if (!checklist) {
+    res.status(404).json({ message: 'Checklist not found' });
+  }
+  return checklist;
+};
+
+const logChecklistActivity = (req, action, checklist, details = {}) => logActivity({
+  board: req.card.board,
+  actor: req.user._id,
+  action,
+  entityType: 'checklist',
+  entity: checklist._id,
+  card: req.card._id,
+  after: { title: checklist.title, ...details }
+});
+
+// Build a checklist from a list of item texts
+const createChecklist = (card, title, texts = []) => {
+  card.checklists.push({
+    title,
+    position: nextPosition(card.checklists),
+    items: texts
+      .filter(text => typeof text === 'string' && text.trim())
+      .map((text, position) => ({ text, position }))
+  });
+  return card.checklists[card.checklists.length - 1];
+};
+
+// @desc    Get a card's checklists
+// @route   GET /api/cards/:id/checklists
+// @access  Private (card.view)
+export const getChecklists = async (req, res) => {
+  try {
+    const card = req.card;
+    await card.populate('checklists.items.assignee', 'name email');
+
+    res.json({
+      card: card._id,
+      checklists: card.checklists,
+      checklistProgress: getChecklistProgress(card)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a checklist to a card
+// @route   POST /api/cards/:id/checklists
+// @access  Private (card.update)
+export const addChecklist = async (req, res) => {
+  try {
+    const { title, items } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: 'Please provide a checklist title' });
+    }
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ message: 'items must be an array of strings' });
+    }
+
+    const checklist = createChecklist(req.card, title, items);
+    const payload = await saveChecklists(req);
+    await logChecklistActivity(req, 'checklist.created', checklist, { items: checklist.items.length });
+
+    res.status(201).json(payload);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Turn the AI actionable steps for a card into a checklist
+// @route   POST /api/cards/:id/checklists/from-insights
+// @access  Private (card.update)
+export const addChecklistFromInsights = async (req, res) => {
+  try {
+    const card = req.card;
+    const title = req.body.title || 'Action items';
+
+    // Clients that already fetched the recommendations can pass the steps back
+    let steps = req.body.steps;
+
+    if (steps === undefined) {
+      const [boardCards, boardLists] = await Promise.all([
+        Card.find({ board: card.board }).lean(),
+        List.find({ board: card.board }).lean()
+      ]);
+
+      const insights = await getCardInsights(card.toObject(), boardCards, boardLists);
+      if (!insights) {
+        return res.status(503).json({ message: 'AI insights are not available right now' });
+      }
+      steps = insights.actionableSteps;
+    }
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({ message: 'No actionable steps to convert' });
+    }
+
+    const checklist = createChecklist(card, title, steps);
+    const payload = await saveChecklists(req);
+    await logChecklistActivity(req, 'checklist.created', checklist, { items: checklist.items.length, source: 'ai' });
+
+    res.status(201).json(payload);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Rename a checklist
+// @route   PUT /api/cards/:id/checklists/:checklistId
+// @access  Private (card.update)
+export const updateChecklist = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    const { title } = req.body;
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: 'Please provide a checklist title' });
+    }
+
+    checklist.title = title;
+    res.json(await saveChecklists(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a checklist
+// @route   DELETE /api/cards/:id/checklists/:checklistId
+// @access  Private (card.update)
+export const deleteChecklist = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    checklist.deleteOne();
+    const payload = await saveChecklists(req);
+    await logChecklistActivity(req, 'checklist.deleted', checklist, { items: checklist.items.length });
+
+    res.json(payload);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reorder a card's checklists
+// @route   PUT /api/cards/:id/checklists/reorder
+// @access  Private (card.update)
+export const reorderChecklists = async (req, res) => {
+  try {
+    const { checklistOrders } = req.body;
+
+    if (!checklistOrders || !Array.isArray(checklistOrders)) {
+      return res.status(400).json({ message: 'Please provide checklistOrders array' });
+    }
+
+    const error = applyOrder(
+      req.card.checklists,
+      checklistOrders.map(({ checklistId, position }) => ({ id: checklistId, position }))
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await saveChecklists(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add an item to a checklist
+// @route   POST /api/cards/:id/checklists/:checklistId/items
+// @access  Private (card.update)
+export const addChecklistItem = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    const { text, assignee, dueDate } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Please provide item text' });
+    }
+
+    if (!validateAssignee(req.board, assignee)) {
+      return res.status(400).json({ message: 'Assignee must be a member of the board' });
+    }
+
+    checklist.items.push({
+      text,
+      position: nextPosition(checklist.items),
+      assignee: assignee || null,
+      dueDate: dueDate || null
+    });
+
+    res.status(201).json(await saveChecklists(req));
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a checklist item (text, done state, assignee, due date)
+// @route   PUT /api/cards/:id/checklists/:checklistId/items/:itemId
+// @access  Private (card.update)
+export const updateChecklistItem = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    const item = checklist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    const { text, done, assignee, dueDate } = req.body;
+
+    if (assignee !== undefined && !validateAssignee(req.board, assignee)) {
+      return res.status(400).json({ message: 'Assignee must be a member of the board' });
+    }
+
+    if (text !== undefined) item.text = text;
+    if (assignee !== undefined) item.assignee = assignee || null;
+    if (dueDate !== undefined) item.dueDate = dueDate || null;
+
+    const toggled = done !== undefined && Boolean(done) !== item.done;
+    if (toggled) {
+      item.done = Boolean(done);
+      item.doneAt = item.done ? new Date() : null;
+      item.doneBy = item.done ? req.user._id : null;
+    }
+
+    const payload = await saveChecklists(req);
+
+    if (toggled) {
+      await logChecklistActivity(
+        req,
+        item.done ? 'checklist.item_completed' : 'checklist.item_reopened',
+        checklist,
+        { item: item._id, text: item.text }
+      );
+    }
+
+    res.json(payload);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a checklist item
+// @route   DELETE /api/cards/:id/checklists/:checklistId/items/:itemId
+// @access  Private (card.update)
+export const deleteChecklistItem = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    const item = checklist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.deleteOne();
+    res.json(await saveChecklists(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reorder the items of a checklist
+// @route   PUT /api/cards/:id/checklists/:checklistId/items/reorder
+// @access  Private (card.update)
+export const reorderChecklistItems = async (req, res) => {
+  try {
+    const checklist = findChecklist(req, res);
+    if (!checklist) return;
+
+    const { itemOrders } = req.body;
+
+    if (!itemOrders || !Array.isArray(itemOrders)) {
+      return res.status(400).json({ message: 'Please provide itemOrders array' });
+    }
+
+    const error = applyOrder(
+      checklist.items,
+      itemOrders.map(({ itemId, position }) => ({ id: itemId, position }))
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await saveChecklists(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
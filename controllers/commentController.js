@@ -0,0 +1,226 @@
+import Comment from '../models/Comment.js';
+import { can } from '../utils/permissions.js';
+import { parseMentions } from '../utils/mentions.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+import { notify } from '../utils/notifications.js';
+
+// Resolve @mentions against the board's members
+const resolveMentions = async (text, board) => {
+  await board.populate('members.user', 'name');
+  return parseMentions(text, board.members);
+};
+
+// Notify users newly mentioned in a comment (never the author)
+const notifyMentions = (comment, { board, card, author }, previous = []) => notify({
+  type: 'mention',
+  recipients: comment.mentions.filter(user => !previous.includes(user._id.toString())),
+  actor: author,
+  board,
+  card,
+  message: `${author.name} mentioned you on "${card.title}"`,
+  data: { comment: comment._id },
+  email: { comment }
+});
+
+// Nest replies under their parent comment
+const buildThreads = (comments) => {
+  const byId = new Map();
+  const threads = [];
+
+  comments.forEach((comment) => {
+    byId.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+  });
+
+  byId.forEach((comment) => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+
+  return threads;
+};
+
+// @desc    Get comments for a card (threaded)
+// @route   GET /api/cards/:id/comments
+// @access  Private (comment.view)
+export const getCardComments = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const comments = await Comment.find({ card: card._id })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json(buildThreads(comments));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a comment (or reply) to a card
+// @route   POST /api/cards/:id/comments
+// @access  Private (comment.create)
+export const createComment = async (req, res) => {
+  try {
+    const { text, parent } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Please provide comment text' });
+    }
+
+    const { card, board } = req;
+
+    // Replies must belong to the same card
+    if (parent) {
+      const parentComment = await Comment.findById(parent);
+      if (!parentComment || parentComment.card.toString() !== card._id.toString()) {
+        return res.status(400).json({ message: 'Invalid parent comment for this card' });
+      }
+    }
+
+    const comment = await Comment.create({
+      card: card._id,
+      board: card.board,
+      author: req.user._id,
+      text,
+      parent: parent || null,
+      mentions: await resolveMentions(text, board)
+    });
+
+    await comment.populate('author', 'name email');
+    await comment.populate('mentions', 'name email');
+    await notifyMentions(comment, { board, card, author: req.user });
+
+    emitBoardEvent(card.board, 'comment.created', comment, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'comment.created',
+      entityType: 'comment',
+      entity: comment._id,
+      card: card._id,
+      after: { text: comment.text, parent: comment.parent }
+    });
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card or comment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/cards/:id/comments/:commentId
+// @access  Private (comment.update, author only)
+export const updateComment = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Please provide comment text' });
+    }
+
+    const { card, board } = req;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, card: card._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    const before = { text: comment.text };
+    const previousMentions = comment.mentions.map(id => id.toString());
+
+    comment.text = text;
+    comment.mentions = await resolveMentions(text, board);
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await comment.populate('author', 'name email');
+    await comment.populate('mentions', 'name email');
+    await notifyMentions(comment, { board, card, author: req.user }, previousMentions);
+
+    emitBoardEvent(card.board, 'comment.updated', comment, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'comment.updated',
+      entityType: 'comment',
+      entity: comment._id,
+      card: card._id,
+      before,
+      after: { text: comment.text }
+    });
+
+    res.json(comment);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card or comment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/cards/:id/comments/:commentId
+// @access  Private (comment.delete, author or comment.moderate)
+export const deleteComment = async (req, res) => {
+  try {
+    const { card } = req;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, card: card._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Authors can delete their own comments; admins can delete anyone's
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+
+    if (!isAuthor && !can(req.boardRole, 'comment.moderate')) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    // Collect the whole reply subtree
+    const idsToDelete = [comment._id];
+    let frontier = [comment._id];
+    while (frontier.length > 0) {
+      const replies = await Comment.find({ parent: { $in: frontier } }, '_id');
+      frontier = replies.map(reply => reply._id);
+      idsToDelete.push(...frontier);
+    }
+
+    await Comment.deleteMany({ _id: { $in: idsToDelete } });
+
+    emitBoardEvent(card.board, 'comment.deleted', { _id: comment._id, card: card._id }, req.user._id);
+    await logActivity({
+      board: card.board,
+      actor: req.user._id,
+      action: 'comment.deleted',
+      entityType: 'comment',
+      entity: comment._id,
+      card: card._id,
+      before: { text: comment.text, author: comment.author, replies: idsToDelete.length - 1 }
+    });
+
+    res.json({ message: 'Comment removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Card or comment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
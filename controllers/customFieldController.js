@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import { hasOptions, customFieldPath } from '../utils/customFields.js';
+import { nextPosition, applyOrder } from '../utils/checklists.js';
+import { withTransaction } from '../utils/transaction.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+
+const { ObjectId } = mongoose.Types;
+
+const fieldSnapshot = (field) => ({
+  name: field.name,
+  type: field.type,
+  options: field.options.map(option => option.name)
+});
+
+const findField = (req, res) => {
+  const field = req.board.customFields.id(req.params.fieldId);
+  if (!field) {
+    res.status(404).json({ message: 'Custom field not found' });
+  }
+  return field;
+};
+
+const isNameTaken = (board, name, exceptId = null) => board.customFields.some(field => (
+  field.name.toLowerCase() === name.trim().toLowerCase() &&
+  (!exceptId || field._id.toString() !== exceptId.toString())
+));
+
+// Check an options array: [{ _id?, name, color? }], _id keeps an existing option
+const validateOptions = (options, existing = null) => {
+  if (!Array.isArray(options) || options.length === 0) {
+    return 'Please provide at least one option';
+  }
+
+  const names = new Set();
+  for (const option of options) {
+    if (!option || typeof option.name !== 'string' || !option.name.trim()) {
+      return 'Every option needs a name';
+    }
+    const key = option.name.trim().toLowerCase();
+    if (names.has(key)) {
+      return `Duplicate option "${option.name.trim()}"`;
+    }
+    names.add(key);
+
+    if (option._id && (!existing || !ObjectId.isValid(option._id) || !existing.id(option._id))) {
+      return `Unknown option ${option._id}`;
+    }
+  }
+  return null;
+};
+
+// Broadcast and log a change to a field definition
+const announceField = async (req, field, action, before = null) => {
+  const board = req.board;
+
+  emitBoardEvent(
+    board._id,
+    `customField.${action}`,
+    action === 'deleted' ? { _id: field._id } : field,
+    req.user._id
+  );
+  await logActivity({
+    board: board._id,
+    actor: req.user._id,
+    action: `customField.${action}`,
+    entityType: 'customField',
+    entity: field._id,
+    before,
+    after: action === 'deleted' ? null : fieldSnapshot(field)
+  });
+};
+
+// @desc    Get the board's custom field definitions
+// @route   GET /api/boards/:id/custom-fields
+// @access  Private (customField.view)
+export const getCustomFields = async (req, res) => {
+  try {
+    res.json(req.board.customFields);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Define a custom field
+// @route   POST /api/boards/:id/custom-fields
+// @access  Private (customField.create)
+export const createCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const { name, type, options } = req.body;
+
+    if (!name || !name.trim() || !type) {
+      return res.status(400).json({ message: 'Please provide name and type' });
+    }
+
+    if (isNameTaken(board, name)) {
+      return res.status(400).json({ message: `A field named "${name.trim()}" already exists on this board` });
+    }
+
+    if (hasOptions(type)) {
+      const error = validateOptions(options);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    }
+
+    board.customFields.push({
+      name,
+      type,
+      options: hasOptions(type) ? options.map(({ name: optionName, color }) => ({ name: optionName, color })) : [],
+      position: nextPosition(board.customFields)
+    });
+    const field = board.customFields[board.customFields.length - 1];
+    await board.save();
+
+    await announceField(req, field, 'created');
+
+    res.status(201).json(field);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Rename a custom field or change its options (removed options are cleared from cards)
+// @route   PUT /api/boards/:id/custom-fields/:fieldId
+// @access  Private (customField.update)
+export const updateCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const field = findField(req, res);
+    if (!field) return;
+
+    const { name, type, options } = req.body;
+    const before = fieldSnapshot(field);
+
+    if (type !== undefined && type !== field.type) {
+      return res.status(400).json({ message: 'The type of a custom field cannot be changed' });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Please provide a field name' });
+      }
+      if (isNameTaken(board, name, field._id)) {
+        return res.status(400).json({ message: `A field named "${name.trim()}" already exists on this board` });
+      }
+      field.name = name;
+    }
+
+    let removed = [];
+    if (options !== undefined) {
+      if (!hasOptions(field.type)) {
+        return res.status(400).json({ message: `${field.type} fields have no options` });
+      }
+
+      const error = validateOptions(options, field.options);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const kept = new Set(options.filter(option => option._id).map(option => option._id.toString()));
+      removed = field.options.filter(option => !kept.has(option._id.toString())).map(option => option._id);
+
+      field.options = options.map(({ _id, name: optionName, color }) => ({
+        ...(_id ? { _id } : {}),
+        name: optionName,
+        color: color ?? null
+      }));
+    }
+
+    const path = customFieldPath(field._id);
+    await withTransaction(async (session) => {
+      await board.save({ session });
+      if (removed.length === 0) return;
+
+      if (field.type === 'single-select') {
+        await Card.updateMany(
+          { board: board._id, [path]: { $in: removed } },
+          { $unset: { [path]: 1 } },
+          { session }
+        );
+      } else {
+        await Card.updateMany(
+          { board: board._id, [path]: { $in: removed } },
+          { $pull: { [path]: { $in: removed } } },
+          { session }
+        );
+        await Card.updateMany(
+          { board: board._id, [path]: { $size: 0 } },
+          { $unset: { [path]: 1 } },
+          { session }
+        );
+      }
+    });
+
+    await announceField(req, field, 'updated', before);
+
+    res.json(field);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reorder the board's custom fields
+// @route   PUT /api/boards/:id/custom-fields/reorder
+// @access  Private (customField.update)
+export const reorderCustomFields = async (req, res) => {
+  try {
+    const board = req.board;
+    const { fieldOrders } = req.body;
+
+    if (!fieldOrders || !Array.isArray(fieldOrders)) {
+      return res.status(400).json({ message: 'Please provide fieldOrders array' });
+    }
+
+    const error = applyOrder(
+      board.customFields,
+      fieldOrders.map(({ fieldId, position }) => ({ id: fieldId, position }))
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await board.save();
+    emitBoardEvent(board._id, 'customFields.reordered', board.customFields, req.user._id);
+
+    res.json(board.customFields);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a custom field and its values on every card
+// @route   DELETE /api/boards/:id/custom-fields/:fieldId
+// @access  Private (customField.delete)
+export const deleteCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const field = findField(req, res);
+    if (!field) return;
+
+    const path = customFieldPath(field._id);
+    const modifiedCount = await withTransaction(async (session) => {
+      field.deleteOne();
+      await board.save({ session });
+
+      const result = await Card.updateMany(
+        { board: board._id, [path]: { $exists: true } },
+        { $unset: { [path]: 1 } },
+        { session }
+      );
+      return result.modifiedCount;
+    });
+
+    await announceField(req, field, 'deleted', fieldSnapshot(field));
+
+    res.json({ message: 'Custom field removed', cards: modifiedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
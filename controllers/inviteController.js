@@ -0,0 +1,162 @@
+import Invite from '../models/Invite.js';
+import { createInviteToken } from '../utils/invites.js';
+import { logActivity } from '../utils/activity.js';
+import { queueMail, isMailConfigured } from '../utils/mail.js';
+
+// @desc    Revoke a pending invite
+// @route   DELETE /api/boards/:id/invites/:inviteId
+// @access  Private (invite.revoke)
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOne({
+      _id: req.params.inviteId,
+      board: req.board._id,
+      status: 'pending'
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Pending invite not found' });
+    }
+
+    invite.status = 'revoked';
+    await invite.save();
+
+    await logActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      action: 'invite.revoked',
+      entityType: 'invite',
+      entity: invite._id,
+      before: { status: 'pending' },
+      after: { email: invite.email, status: 'revoked' }
+    });
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Pending invite not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resend an invite with a fresh token and expiry
+// @route   POST /api/boards/:id/invites/:inviteId/resend
+// @access  Private (member.invite)
+export const resendInvite = async (req, res) => {
+  try {
+    // Expired invites can be revived; accepted, revoked and declined ones cannot
+    const invite = await Invite.findOne({
+      _id: req.params.inviteId,
+      board: req.board._id,
+      status: { $in: ['pending', 'expired'] }
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found or no longer open' });
+    }
+
+    const previousExpiry = invite.expiresAt;
+    Object.assign(invite, createInviteToken(), { status: 'pending', invitedBy: req.user._id });
+    await invite.save();
+
+    await logActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      action: 'invite.resent',
+      entityType: 'invite',
+      entity: invite._id,
+      before: { expiresAt: previousExpiry },
+      after: { email: invite.email, expiresAt: invite.expiresAt }
+    });
+
+    await invite.populate('board', 'title');
+    await invite.populate('invitedBy', 'name email');
+    await queueMail('invite', invite.email, {
+      board: invite.board,
+      inviter: invite.invitedBy,
+      token: invite.token,
+      expiresAt: invite.expiresAt
+    });
+
+    res.json({
+      message: 'Invitation resent',
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        token: isMailConfigured() ? undefined : invite.token,
+        board: invite.board,
+        invitedBy: invite.invitedBy,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invite not found or no longer open' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Decline an invite addressed to the current user
+// @route   POST /api/boards/decline-invite/:token
+// @access  Private
+export const declineInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOne({
+      token: req.params.token,
+      status: 'pending'
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found or already used' });
+    }
+
+    if (req.user.email.toLowerCase() !== invite.email.toLowerCase()) {
+      return res.status(403).json({ message: 'This invite was sent to a different email address' });
+    }
+
+    invite.status = 'declined';
+    await invite.save();
+
+    await logActivity({
+      board: invite.board,
+      actor: req.user._id,
+      action: 'invite.declined',
+      entityType: 'invite',
+      entity: invite._id,
+      before: { status: 'pending' },
+      after: { email: invite.email, status: 'declined' }
+    });
+
+    res.json({ message: 'Invite declined' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get pending invites addressed to the current user
+// @route   GET /api/auth/me/invites
+// @access  Private
+export const getMyInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find({
+      email: req.user.email.toLowerCase(),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+    // The token only reaches the invitee by email; accepting requires it
+    .select('-token')
+    .populate('board', 'title background')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+    res.json(invites);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
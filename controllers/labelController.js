@@ -0,0 +1,171 @@
+import Card from '../models/Card.js';
+import { normalizeLabelName, findLabelByName, nextLabelColor } from '../utils/labels.js';
+import { withTransaction } from '../utils/transaction.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+
+const labelSnapshot = (label) => ({ name: label.name, color: label.color, description: label.description });
+
+const findLabel = (req, res) => {
+  const label = req.board.labels.id(req.params.labelId);
+  if (!label) {
+    res.status(404).json({ message: 'Label not found' });
+  }
+  return label;
+};
+
+// @desc    Get the board's label catalog with usage counts
+// @route   GET /api/boards/:id/labels
+// @access  Private (label.view)
+export const getLabels = async (req, res) => {
+  try {
+    const board = req.board;
+
+    const counts = await Card.aggregate([
+      { $match: { board: board._id, archivedAt: null } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', cards: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(row => [row._id.toString(), row.cards]));
+
+    res.json(board.labels.map(label => ({
+      ...label.toJSON(),
+      cardCount: countsById.get(label._id.toString()) || 0
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a label to the board's catalog
+// @route   POST /api/boards/:id/labels
+// @access  Private (label.create)
+export const createLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const name = normalizeLabelName(req.body.name);
+    const { color, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Please provide a label name' });
+    }
+
+    if (findLabelByName(board, name)) {
+      return res.status(400).json({ message: `A label named "${name}" already exists on this board` });
+    }
+
+    board.labels.push({
+      name,
+      color: color || nextLabelColor(board),
+      description: description || ''
+    });
+    const label = board.labels[board.labels.length - 1];
+    await board.save();
+
+    emitBoardEvent(board._id, 'label.created', label, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'label.created',
+      entityType: 'label',
+      entity: label._id,
+      after: labelSnapshot(label)
+    });
+
+    res.status(201).json(label);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Rename or recolor a label (cards reference it by id, so they follow)
+// @route   PUT /api/boards/:id/labels/:labelId
+// @access  Private (label.update)
+export const updateLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const label = findLabel(req, res);
+    if (!label) return;
+
+    const { name, color, description } = req.body;
+    const before = labelSnapshot(label);
+
+    if (name !== undefined) {
+      const normalized = normalizeLabelName(name);
+      if (!normalized) {
+        return res.status(400).json({ message: 'Please provide a label name' });
+      }
+      if (findLabelByName(board, normalized, label._id)) {
+        return res.status(400).json({ message: `A label named "${normalized}" already exists on this board` });
+      }
+      label.name = normalized;
+    }
+    if (color !== undefined) label.color = color;
+    if (description !== undefined) label.description = description;
+
+    await board.save();
+
+    emitBoardEvent(board._id, 'label.updated', label, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'label.updated',
+      entityType: 'label',
+      entity: label._id,
+      before,
+      after: labelSnapshot(label)
+    });
+
+    res.json(label);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a label and remove it from every card on the board
+// @route   DELETE /api/boards/:id/labels/:labelId
+// @access  Private (label.delete)
+export const deleteLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const label = findLabel(req, res);
+    if (!label) return;
+
+    const modifiedCount = await withTransaction(async (session) => {
+      label.deleteOne();
+      await board.save({ session });
+
+      const result = await Card.updateMany(
+        { board: board._id, labels: label._id },
+        { $pull: { labels: label._id } },
+        { session }
+      );
+      return result.modifiedCount;
+    });
+
+    emitBoardEvent(board._id, 'label.deleted', { _id: label._id, cards: modifiedCount }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'label.deleted',
+      entityType: 'label',
+      entity: label._id,
+      before: labelSnapshot(label),
+      after: { cards: modifiedCount }
+    });
+
+    res.json({ message: 'Label removed', cards: modifiedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
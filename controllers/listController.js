@@ -1,53 +1,120 @@
+import mongoose from 'mongoose';
 import List from '../models/List.js';
+import Card from '../models/Card.js';
 import Board from '../models/Board.js';
-
-// Helper function to check if user has access to board
-const checkBoardAccess = async (boardId, userId) => {
-  const board = await Board.findById(boardId);
-  
-  if (!board) {
-    return { hasAccess: false, error: 'Board not found' };
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity, snapshot, diffSnapshots } from '../utils/activity.js';
+import { withTransaction } from '../utils/transaction.js';
+import { checkBoardAccess } from '../utils/permissions.js';
+import { scheduleCardReminders } from '../utils/dueDates.js';
+import { createCardMapper, summarizeTransfer, moveCardRecords, copyCardFields } from '../utils/cardTransfer.js';
+import { setETag, parseExpectedVersion, saveIfVersion, sendVersionConflict } from '../utils/concurrency.js';
+import { parsePlacement, parseOrderVersion, placeItem, claimOrder, resolveReorder } from '../utils/ordering.js';
+import { captureState, changeStep, createStep, reorderSteps, deleteWithHistory, recordChange } from '../utils/journal.js';
+
+// List fields tracked in the activity log and compared on version conflicts
+const LIST_FIELDS = ['title'];
+
+// Load the board a list is moved or copied to and check the user may add lists to it
+const findDestinationBoard = async (req, boardId) => {
+  if (!mongoose.isValidObjectId(boardId)) {
+    return { status: 404, error: 'Board not found' };
   }
 
-  const isMember = board.members.some(
-    member => member.user.toString() === userId.toString()
-  );
+  const access = await checkBoardAccess(boardId, req.user._id, 'list.create');
+  return access.hasAccess ? { board: access.board } : access;
+};
+
+// Read { placement, version } for placing a list from a request body
+const parseListOrder = (body) => {
+  const { placement, error } = parsePlacement(body);
+  if (error) return { error };
 
-  if (!isMember && board.owner.toString() !== userId.toString()) {
-    return { hasAccess: false, error: 'Not authorized to access this board' };
-  }
+  const { version, error: versionError } = parseOrderVersion(body);
+  return versionError ? { error: versionError } : { placement, version };
+};
+
+// Work out a list's position on a board and claim the board's list order version.
+// Returns { position, version }, { error } or { conflict: true }.
+const placeListInBoard = async (list, boardId, { placement, version }, session) => {
+  const placed = await placeItem(List, { board: boardId, archivedAt: null }, placement, list._id, session);
+  if (placed.error) return placed;
 
-  return { hasAccess: true, board };
+  const claimed = await claimOrder(Board, boardId, 'listOrderVersion', version, session);
+  if (!claimed) return { conflict: true };
+
+  return { position: placed.position, version: claimed.listOrderVersion };
+};
+
+// 409 with the board's current list order so a stale client can retry against it
+const sendOrderConflict = async (res, boardId) => {
+  const [board, lists] = await Promise.all([
+    Board.findById(boardId, 'listOrderVersion'),
+    List.find({ board: boardId, archivedAt: null }, 'position').sort({ position: 1 })
+  ]);
+
+  res.status(409).json({
+    message: 'The board\'s lists were reordered by someone else; reload them and try again',
+    version: board ? board.listOrderVersion : null,
+    lists
+  });
 };
 
 // @desc    Create a new list
 // @route   POST /api/lists
-// @access  Private
+// @access  Private (list.create)
 export const createList = async (req, res) => {
   try {
-    const { title, board, position } = req.body;
+    const { title } = req.body;
+    const board = req.board._id;
 
-    if (!title || !board) {
+    if (!title) {
       return res.status(400).json({ message: 'Please provide title and board' });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(board, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
+    const order = parseListOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
     }
 
-    // If no position provided, set to end
-    let listPosition = position;
-    if (listPosition === undefined || listPosition === null) {
-      const lastList = await List.findOne({ board }).sort({ position: -1 });
-      listPosition = lastList ? lastList.position + 1 : 0;
+    const list = new List({ title, board });
+
+    // Without a placement the list goes to the end of the board
+    const placed = await withTransaction(async (session) => {
+      const result = await placeListInBoard(list, board, order, session);
+      if (result.position === undefined) return result;
+
+      list.position = result.position;
+      await list.save({ session });
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, board);
     }
 
-    const list = await List.create({
-      title,
+    await recordChange({
       board,
-      position: listPosition
+      user: req.user._id,
+      action: 'list.created',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.create',
+      steps: [await createStep('List', list._id)]
+    });
+
+    emitBoardEvent(list.board, 'list.created', list, req.user._id);
+    await logActivity({
+      board: list.board,
+      actor: req.user._id,
+      action: 'list.created',
+      entityType: 'list',
+      entity: list._id,
+      after: { title: list.title, position: list.position }
     });
 
     res.status(201).json(list);
@@ -59,18 +126,10 @@ export const createList = async (req, res) => {
 
 // @desc    Get all lists for a board
 // @route   GET /api/lists/board/:boardId
-// @access  Private
+// @access  Private (list.view)
 export const getBoardLists = async (req, res) => {
   try {
-    const { boardId } = req.params;
-
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(boardId, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
-    }
-
-    const lists = await List.find({ board: boardId }).sort({ position: 1 });
+    const lists = await List.find({ board: req.board._id, archivedAt: null }).sort({ position: 1 });
 
     res.json(lists);
   } catch (error) {
@@ -81,117 +140,431 @@ export const getBoardLists = async (req, res) => {
 
 // @desc    Get single list
 // @route   GET /api/lists/:id
-// @access  Private
+// @access  Private (list.view)
 export const getList = async (req, res) => {
+  setETag(res, req.list);
+  res.json(req.list);
+};
+
+// @desc    Update list
+// @route   PUT /api/lists/:id
+// @access  Private (list.update)
+export const updateList = async (req, res) => {
   try {
-    const list = await List.findById(req.params.id);
+    const list = req.list;
+    const { title, position } = req.body;
+    const before = snapshot(list, LIST_FIELDS);
+    const state = captureState(list);
 
-    if (!list) {
-      return res.status(404).json({ message: 'List not found' });
+    if (position !== undefined) {
+      return res.status(400).json({ message: 'Move the list with POST /api/lists/:id/move to change its position' });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(list.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    const { version, error: versionError } = parseExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
+    }
+
+    if (title !== undefined) list.title = title;
+
+    if (!(await saveIfVersion(list, version))) {
+      const current = await List.findById(list._id);
+      if (!current) {
+        return res.status(404).json({ message: 'List not found' });
+      }
+      return sendVersionConflict(res, {
+        entity: 'list',
+        current,
+        fields: LIST_FIELDS,
+        requested: diffSnapshots(before, snapshot(list, LIST_FIELDS)).after,
+        serialize: async (doc) => doc.toJSON()
+      });
     }
 
+    await recordChange({
+      board: list.board,
+      user: req.user._id,
+      action: 'list.updated',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.update',
+      steps: [changeStep(list, state)]
+    });
+
+    const changes = diffSnapshots(before, snapshot(list, LIST_FIELDS));
+    if (Object.keys(changes.after).length > 0) {
+      await logActivity({
+        board: list.board,
+        actor: req.user._id,
+        action: 'list.updated',
+        entityType: 'list',
+        entity: list._id,
+        ...changes
+      });
+    }
+
+    emitBoardEvent(list.board, 'list.updated', list, req.user._id);
+
+    setETag(res, list);
     res.json(list);
   } catch (error) {
     console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'List not found' });
-    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Update list
-// @route   PUT /api/lists/:id
-// @access  Private
-export const updateList = async (req, res) => {
+// @desc    Delete list
+// @route   DELETE /api/lists/:id
+// @access  Private (list.delete)
+export const deleteList = async (req, res) => {
+  try {
+    const list = req.list;
+
+    // Remove the list together with its cards, kept in the journal so the delete can be undone
+    const { step, cards } = await withTransaction(session => deleteWithHistory('List', list._id, session));
+    await recordChange({
+      board: list.board,
+      user: req.user._id,
+      action: 'list.deleted',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.delete',
+      steps: [step]
+    });
+
+    emitBoardEvent(list.board, 'list.deleted', { _id: list._id }, req.user._id);
+    await logActivity({
+      board: list.board,
+      actor: req.user._id,
+      action: 'list.deleted',
+      entityType: 'list',
+      entity: list._id,
+      before: { ...snapshot(list, ['title', 'position']), cards }
+    });
+
+    res.json({ message: 'List removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reorder lists
+// @route   PUT /api/lists/reorder
+// @access  Private (list.reorder)
+export const reorderLists = async (req, res) => {
   try {
-    const list = await List.findById(req.params.id);
+    const { listOrders } = req.body;
+    const boardId = req.board._id;
 
-    if (!list) {
-      return res.status(404).json({ message: 'List not found' });
+    if (!listOrders || !Array.isArray(listOrders)) {
+      return res.status(400).json({ message: 'Please provide boardId and listOrders array' });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(list.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    const { version, error: versionError } = parseOrderVersion(req.body);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
     }
 
-    const { title, position } = req.body;
+    if (!listOrders.every(order => order && typeof order === 'object')) {
+      return res.status(400).json({ message: 'Each entry of listOrders must be an object' });
+    }
 
-    if (title !== undefined) list.title = title;
-    if (position !== undefined) list.position = position;
+    const orders = listOrders.map(({ listId, position }) => ({ id: listId, position }));
 
-    await list.save();
+    // Validate every list against this board, then write all positions at once
+    const result = await withTransaction(async (session) => {
+      const resolved = await resolveReorder(List, { board: boardId, archivedAt: null }, orders, session);
+      if (resolved.error) return resolved;
 
-    res.json(list);
+      const claimed = await claimOrder(Board, boardId, 'listOrderVersion', version, session);
+      if (!claimed) return { conflict: true };
+
+      const reordered = await List.find({ _id: { $in: orders.map(({ id }) => id) } }).session(session);
+      await List.bulkWrite(resolved.updates, { session });
+      return { version: claimed.listOrderVersion, steps: reorderSteps(reordered, orders) };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    if (result.conflict) {
+      return sendOrderConflict(res, boardId);
+    }
+
+    await recordChange({
+      board: boardId,
+      user: req.user._id,
+      action: 'lists.reordered',
+      entityType: 'board',
+      entity: boardId,
+      permission: 'list.reorder',
+      steps: result.steps
+    });
+
+    const lists = await List.find({ board: boardId, archivedAt: null }).sort({ position: 1 });
+
+    emitBoardEvent(boardId, 'lists.reordered', { version: result.version, lists }, req.user._id);
+    await logActivity({
+      board: boardId,
+      actor: req.user._id,
+      action: 'lists.reordered',
+      entityType: 'board',
+      entity: boardId,
+      after: { listOrders }
+    });
+
+    res.json({ version: result.version, lists });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Delete list
-// @route   DELETE /api/lists/:id
-// @access  Private
-export const deleteList = async (req, res) => {
+// Reposition a list on its own board, writing only that list
+const moveListWithinBoard = async (req, res, order) => {
+  const list = req.list;
+  const before = { position: list.position };
+  const state = captureState(list);
+
+  const placed = await withTransaction(async (session) => {
+    const result = await placeListInBoard(list, list.board, order, session);
+    if (result.position === undefined) return result;
+
+    list.position = result.position;
+    await list.save({ session });
+    return result;
+  });
+
+  if (placed.error) {
+    return res.status(400).json({ message: placed.error });
+  }
+  if (placed.conflict) {
+    return sendOrderConflict(res, list.board);
+  }
+
+  await recordChange({
+    board: list.board,
+    user: req.user._id,
+    action: 'list.moved',
+    entityType: 'list',
+    entity: list._id,
+    permission: 'list.move',
+    steps: [changeStep(list, state)]
+  });
+  emitBoardEvent(list.board, 'list.moved', { list, version: placed.version }, req.user._id);
+  await logActivity({
+    board: list.board,
+    actor: req.user._id,
+    action: 'list.moved',
+    entityType: 'list',
+    entity: list._id,
+    before,
+    after: { position: list.position }
+  });
+
+  res.json({ list, version: placed.version });
+};
+
+// @desc    Move a list to a new position, on its board or another one with all its cards
+//          ({ boardId, afterId | beforeId | index, version })
+// @route   POST /api/lists/:id/move
+// @access  Private (list.move; list.create on the destination board)
+export const moveList = async (req, res) => {
   try {
-    const list = await List.findById(req.params.id);
+    const list = req.list;
+    const { boardId = list.board } = req.body;
+
+    const order = parseListOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
+    }
+    if (list.archivedAt) {
+      return res.status(400).json({ message: 'Restore the list before moving it' });
+    }
+    if (boardId.toString() === list.board.toString()) {
+      await moveListWithinBoard(req, res, order);
+      return;
+    }
 
-    if (!list) {
-      return res.status(404).json({ message: 'List not found' });
+    const destination = await findDestinationBoard(req, boardId);
+    if (!destination.board) {
+      return res.status(destination.status).json({ message: destination.error });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(list.board, req.user._id);
-    if (!hasAccess) {
-      return res.status(403).json({ message: error });
+    const source = req.board;
+    const target = destination.board;
+    const mapper = createCardMapper(source, target);
+
+    // Archived cards travel with the list
+    const cards = await Card.find({ list: list._id });
+    const states = cards.map(card => captureState(card));
+    cards.forEach(card => card.set({ board: target._id, ...mapper.mapCard(card) }));
+
+    const before = { board: source._id, position: list.position };
+    const state = captureState(list);
+
+    const placed = await withTransaction(async (session) => {
+      const result = await placeListInBoard(list, target._id, order, session);
+      if (result.position === undefined) return result;
+
+      await claimOrder(Board, source._id, 'listOrderVersion', undefined, session);
+      if (mapper.labelsCreated.length > 0) {
+        await target.save({ session });
+      }
+      list.board = target._id;
+      list.position = result.position;
+      await list.save({ session });
+      for (const card of cards) {
+        await card.save({ session });
+      }
+      if (cards.length > 0) {
+        await moveCardRecords(cards.map(card => card._id), target._id, session);
+      }
+      // Recurrences of the old board can no longer create cards in the list
+      await RecurrenceRule.updateMany(
+        { list: list._id },
+        { paused: true, lastError: 'The target list was moved to another board' },
+        { session }
+      );
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, target._id);
     }
 
-    await list.deleteOne();
+    // Undone from the source board; labels added to the target's catalog stay and
+    // paused recurrences stay paused
+    await recordChange({
+      board: source._id,
+      user: req.user._id,
+      action: 'list.moved',
+      entityType: 'list',
+      entity: list._id,
+      permission: 'list.move',
+      steps: [changeStep(list, state), ...cards.map((card, index) => changeStep(card, states[index]))]
+    });
 
-    res.json({ message: 'List removed' });
+    const transfer = summarizeTransfer(mapper);
+    const after = { board: target._id, position: list.position, cards: cards.length };
+
+    await Promise.all([source._id, target._id].map(board => logActivity({
+      board,
+      actor: req.user._id,
+      action: 'list.moved',
+      entityType: 'list',
+      entity: list._id,
+      before: { ...before, title: list.title, boardTitle: source.title },
+      after: { ...after, boardTitle: target.title, dropped: transfer }
+    })));
+
+    emitBoardEvent(source._id, 'list.movedOut', { _id: list._id, board: target._id }, req.user._id);
+    emitBoardEvent(target._id, 'list.movedIn', list, req.user._id);
+
+    res.json({ list, version: placed.version, cards: cards.length, transfer });
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Reorder lists
-// @route   PUT /api/lists/reorder
-// @access  Private
-export const reorderLists = async (req, res) => {
+// @desc    Copy a list and its active cards to this or another board
+//          ({ boardId, title, afterId | beforeId | index, version })
+// @route   POST /api/lists/:id/copy
+// @access  Private (list.view; list.create on the destination board)
+export const copyList = async (req, res) => {
   try {
-    const { boardId, listOrders } = req.body;
+    const list = req.list;
+    const { boardId = list.board, title } = req.body;
 
-    if (!boardId || !listOrders || !Array.isArray(listOrders)) {
-      return res.status(400).json({ message: 'Please provide boardId and listOrders array' });
+    const order = parseListOrder(req.body);
+    if (order.error) {
+      return res.status(400).json({ message: order.error });
     }
 
-    // Check board access
-    const { hasAccess, error } = await checkBoardAccess(boardId, req.user._id);
-    if (!hasAccess) {
-      return res.status(error === 'Board not found' ? 404 : 403).json({ message: error });
+    const destination = await findDestinationBoard(req, boardId);
+    if (!destination.board) {
+      return res.status(destination.status).json({ message: destination.error });
     }
 
-    // Update positions
-    const updatePromises = listOrders.map(({ listId, position }) => 
-      List.findByIdAndUpdate(listId, { position }, { new: true })
-    );
+    const target = destination.board;
+    const mapper = createCardMapper(req.board, target);
 
-    await Promise.all(updatePromises);
+    const cards = await Card.find({ list: list._id, archivedAt: null }).sort({ position: 1 });
 
-    const lists = await List.find({ board: boardId }).sort({ position: 1 });
+    const copy = new List({
+      title: title || list.title,
+      board: target._id
+    });
 
-    res.json(lists);
+    // Mapping may add labels to the target's catalog, so it happens before saving
+    const copies = cards.map((card, index) => ({
+      ...copyCardFields(card, mapper),
+      list: copy._id,
+      board: target._id,
+      position: index,
+      createdBy: req.user._id
+    }));
+
+    const placed = await withTransaction(async (session) => {
+      const result = await placeListInBoard(copy, target._id, order, session);
+      if (result.position === undefined) return result;
+
+      if (mapper.labelsCreated.length > 0) {
+        await target.save({ session });
+      }
+      copy.position = result.position;
+      await copy.save({ session });
+      result.cards = copies.length > 0 ? await Card.insertMany(copies, { session }) : [];
+      return result;
+    });
+
+    if (placed.error) {
+      return res.status(400).json({ message: placed.error });
+    }
+    if (placed.conflict) {
+      return sendOrderConflict(res, target._id);
+    }
+
+    // The copy is undone (deleted with its cards) from the board it was added to
+    await recordChange({
+      board: target._id,
+      user: req.user._id,
+      action: 'list.created',
+      entityType: 'list',
+      entity: copy._id,
+      permission: 'list.create',
+      steps: [await createStep('List', copy._id)]
+    });
+
+    const created = placed.cards;
+    await Promise.all(created.filter(card => card.dueDate).map(card => scheduleCardReminders(card)));
+
+    const transfer = summarizeTransfer(mapper);
+
+    emitBoardEvent(target._id, 'list.created', copy, req.user._id);
+    await logActivity({
+      board: target._id,
+      actor: req.user._id,
+      action: 'list.created',
+      entityType: 'list',
+      entity: copy._id,
+      after: { title: copy.title, position: copy.position, copiedFrom: list._id, cards: created.length, dropped: transfer }
+    });
+
+    res.status(201).json({ list: copy, version: placed.version, cards: created.length, transfer });
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
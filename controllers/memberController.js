@@ -0,0 +1,215 @@
+import Card from '../models/Card.js';
+import { ASSIGNABLE_ROLES, normalizeRole, getBoardRole } from '../utils/permissions.js';
+import { withTransaction } from '../utils/transaction.js';
+import { emitBoardEvent, removeUserFromBoard } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+
+const findMember = (board, userId) => board.members.find(
+  m => m.user.toString() === userId.toString()
+);
+
+// Only the owner may change or remove another admin
+const canManageMember = (board, actorRole, member) => {
+  if (member.user.toString() === board.owner.toString()) return false;
+  return actorRole === 'owner' || normalizeRole(member.role) !== 'admin';
+};
+
+// Drop a member from the board and unassign them from its cards
+const removeMember = (board, userId) => withTransaction(async (session) => {
+  board.members = board.members.filter(m => m.user.toString() !== userId.toString());
+  await board.save({ session });
+
+  const { modifiedCount } = await Card.updateMany(
+    { board: board._id, assignedTo: userId },
+    { $pull: { assignedTo: userId } },
+    { session }
+  );
+
+  return modifiedCount;
+});
+
+const populateBoard = async (board) => {
+  await board.populate('owner', 'name email');
+  await board.populate('members.user', 'name email');
+  return board;
+};
+
+// @desc    Change a member's role
+// @route   PATCH /api/boards/:id/members/:userId
+// @access  Private (member.update)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const board = req.board;
+    const role = normalizeRole(req.body.role);
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+
+    const member = findMember(board, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.user.toString() === board.owner.toString()) {
+      return res.status(400).json({ message: 'The owner\'s role cannot be changed, transfer ownership instead' });
+    }
+
+    if (!canManageMember(board, req.boardRole, member) || (role === 'admin' && req.boardRole !== 'owner')) {
+      return res.status(403).json({ message: 'Only the owner can change admin roles' });
+    }
+
+    const previousRole = normalizeRole(member.role);
+    member.role = role;
+    await board.save();
+
+    emitBoardEvent(board._id, 'member.updated', { user: member.user, role }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'member.updated',
+      entityType: 'member',
+      entity: member.user,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.json(await populateBoard(board));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a member from the board
+// @route   DELETE /api/boards/:id/members/:userId
+// @access  Private (member.remove)
+export const removeBoardMember = async (req, res) => {
+  try {
+    const board = req.board;
+    const { userId } = req.params;
+
+    const member = findMember(board, userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.user.toString() === board.owner.toString()) {
+      return res.status(400).json({ message: 'The owner cannot be removed, transfer ownership first' });
+    }
+
+    if (member.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Use the leave endpoint to leave a board' });
+    }
+
+    if (!canManageMember(board, req.boardRole, member)) {
+      return res.status(403).json({ message: 'Only the owner can remove admins' });
+    }
+
+    const unassignedCards = await removeMember(board, member.user);
+
+    removeUserFromBoard(board._id, member.user);
+    emitBoardEvent(board._id, 'member.removed', { user: member.user }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'member.removed',
+      entityType: 'member',
+      entity: member.user,
+      before: { role: normalizeRole(member.role) },
+      after: { unassignedCards }
+    });
+
+    res.json(await populateBoard(board));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Leave a board
+// @route   POST /api/boards/:id/leave
+// @access  Private (board.leave)
+export const leaveBoard = async (req, res) => {
+  try {
+    const board = req.board;
+
+    if (req.boardRole === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot leave the board, transfer ownership first' });
+    }
+
+    const member = findMember(board, req.user._id);
+    const unassignedCards = await removeMember(board, req.user._id);
+
+    removeUserFromBoard(board._id, req.user._id);
+    emitBoardEvent(board._id, 'member.removed', { user: req.user._id }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'member.left',
+      entityType: 'member',
+      entity: req.user._id,
+      before: { role: normalizeRole(member.role) },
+      after: { unassignedCards }
+    });
+
+    res.json({ message: 'You have left the board' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Transfer board ownership to another member
+// @route   POST /api/boards/:id/transfer-ownership
+// @access  Private (board.transfer)
+export const transferOwnership = async (req, res) => {
+  try {
+    const board = req.board;
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Please provide userId' });
+    }
+
+    const newOwner = findMember(board, userId);
+    if (!newOwner) {
+      return res.status(400).json({ message: 'The new owner must be a member of the board' });
+    }
+
+    if (getBoardRole(board, userId) === 'owner') {
+      return res.status(400).json({ message: 'User already owns this board' });
+    }
+
+    const previousOwner = board.owner;
+
+    // Both the new and the previous owner end up as admins in the member list
+    board.owner = newOwner.user;
+    newOwner.role = 'admin';
+
+    const previousOwnerMember = findMember(board, previousOwner);
+    if (previousOwnerMember) {
+      previousOwnerMember.role = 'admin';
+    } else {
+      board.members.push({ user: previousOwner, role: 'admin' });
+    }
+
+    await board.save();
+
+    emitBoardEvent(board._id, 'board.ownership_transferred', { owner: board.owner, previousOwner }, req.user._id);
+    await logActivity({
+      board: board._id,
+      actor: req.user._id,
+      action: 'board.ownership_transferred',
+      entityType: 'board',
+      entity: board._id,
+      before: { owner: previousOwner },
+      after: { owner: board.owner }
+    });
+
+    res.json(await populateBoard(board));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
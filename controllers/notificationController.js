@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { checkBoardAccess } from '../utils/permissions.js';
+import { getPreferences } from '../utils/notifications.js';
+import { encodeCursor, decodeCursor, parseLimit } from '../utils/pagination.js';
+
+const { ObjectId } = mongoose.Types;
+
+const CHANNELS = ['inApp', 'email'];
+
+// @desc    Get the current user's notifications (newest first)
+// @route   GET /api/notifications?unread=true&limit=&cursor=
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, board, type, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const filter = { user: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+    if (board) filter.board = board;
+    if (type) filter.type = { $in: String(type).split(',') };
+
+    // Keyset pagination on _id desc, which follows creation order
+    const after = decodeCursor(cursor);
+    if (cursor && (!after || !ObjectId.isValid(after.id))) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = after ? { ...filter, _id: { $lt: new ObjectId(after.id) } } : filter;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'name email')
+        .populate('board', 'title')
+        .populate('card', 'title')
+        .sort({ _id: -1 })
+        .limit(limit + 1),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      notifications: page,
+      unreadCount,
+      nextCursor: hasMore ? encodeCursor({ id: page[page.length - 1]._id }) : null
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+export const markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Mark all notifications as read (optionally for one board)
+// @route   POST /api/notifications/read-all
+// @access  Private
+export const markAllAsRead = async (req, res) => {
+  try {
+    const filter = { user: req.user._id, readAt: null };
+    if (req.body.board) filter.board = req.body.board;
+
+    const { modifiedCount } = await Notification.updateMany(filter, { readAt: new Date() });
+
+    res.json({ message: 'Notifications marked as read', updated: modifiedCount });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid board id' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get notification preferences (all boards, or one board with ?board=)
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const board = req.query.board || null;
+
+    if (board) {
+      const { hasAccess, status, error } = await checkBoardAccess(board, req.user._id);
+      if (!hasAccess) {
+        return res.status(status).json({ message: error });
+      }
+    }
+
+    const [preferences, stored] = await Promise.all([
+      getPreferences(req.user._id, board),
+      NotificationPreference.findOne({ user: req.user._id, board })
+    ]);
+
+    res.json({
+      board,
+      preferences,
+      overrides: stored ? stored.settings : {}
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update notification preferences (all boards, or one board with `board`)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const board = req.body.board || null;
+    const { settings } = req.body;
+
+    if (!settings || typeof settings !== 'object') {
+      return res.status(400).json({ message: 'Please provide settings' });
+    }
+
+    if (board) {
+      const { hasAccess, status, error } = await checkBoardAccess(board, req.user._id);
+      if (!hasAccess) {
+        return res.status(status).json({ message: error });
+      }
+    }
+
+    // true/false sets a channel; null clears it back to the inherited value
+    const $set = {};
+    const $unset = {};
+
+    for (const [type, channels] of Object.entries(settings)) {
+      if (!NOTIFICATION_TYPES.includes(type) || !channels || typeof channels !== 'object') {
+        return res.status(400).json({ message: `Unknown notification type: ${type}` });
+      }
+
+      for (const [channel, value] of Object.entries(channels)) {
+        if (!CHANNELS.includes(channel) || (value !== null && typeof value !== 'boolean')) {
+          return res.status(400).json({ message: `Invalid setting ${type}.${channel}` });
+        }
+
+        if (value === null) {
+          $unset[`settings.${type}.${channel}`] = '';
+        } else {
+          $set[`settings.${type}.${channel}`] = value;
+        }
+      }
+    }
+
+    const update = { $setOnInsert: { user: req.user._id, board } };
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const stored = await NotificationPreference.findOneAndUpdate(
+      { user: req.user._id, board },
+      update,
+      { new: true, upsert: true }
+    );
+
+    res.json({
+      board,
+      preferences: await getPreferences(req.user._id, board),
+      overrides: stored.settings
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import CardTemplate from '../models/CardTemplate.js';
+import List from '../models/List.js';
+import { resolveSchedule, getNextRun } from '../utils/recurringCards.js';
+
+const populateRule = (rule) => rule.populate([
+  { path: 'template', select: 'name title' },
+  { path: 'list', select: 'title' }
+]);
+
+// Check that a template and list belong to the board; returns an error message or null
+const validateTargets = async (board, { template, list }) => {
+  if (template !== undefined) {
+    const found = mongoose.isValidObjectId(template) &&
+      await CardTemplate.exists({ _id: template, board: board._id });
+    if (!found) return 'Invalid card template for this board';
+  }
+
+  if (list !== undefined) {
+    const found = mongoose.isValidObjectId(list) &&
+      await List.exists({ _id: list, board: board._id, archivedAt: null });
+    if (!found) return 'Invalid list for this board';
+  }
+
+  return null;
+};
+
+const findRule = async (req, res) => {
+  const rule = await RecurrenceRule.findOne({ _id: req.params.ruleId, board: req.board._id });
+  if (!rule) {
+    res.status(404).json({ message: 'Recurrence not found' });
+  }
+  return rule;
+};
+
+// @desc    Get a board's recurrence rules
+// @route   GET /api/boards/:id/recurrences
+// @access  Private (recurrence.view)
+export const getRecurrences = async (req, res) => {
+  try {
+    const rules = await RecurrenceRule.find({ board: req.board._id })
+      .populate('template', 'name title')
+      .populate('list', 'title')
+      .sort({ createdAt: 1 });
+
+    res.json(rules);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a recurrence rule ({ template, list, schedule })
+// @route   POST /api/boards/:id/recurrences
+// @access  Private (recurrence.manage)
+export const createRecurrence = async (req, res) => {
+  try {
+    const { template, list, schedule: scheduleInput, paused = false } = req.body;
+
+    if (!template || !list) {
+      return res.status(400).json({ message: 'Please provide template and list' });
+    }
+
+    const { schedule, error } = resolveSchedule(scheduleInput);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const targetError = await validateTargets(req.board, { template, list });
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    const rule = await RecurrenceRule.create({
+      board: req.board._id,
+      template,
+      list,
+      schedule,
+      paused: Boolean(paused),
+      nextRunAt: getNextRun(schedule),
+      createdBy: req.user._id
+    });
+
+    await populateRule(rule);
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a recurrence rule's template, list or schedule
+// @route   PUT /api/boards/:id/recurrences/:ruleId
+// @access  Private (recurrence.manage)
+export const updateRecurrence = async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    const { template, list, schedule: scheduleInput } = req.body;
+
+    const targetError = await validateTargets(req.board, { template, list });
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    if (template !== undefined) rule.template = template;
+    if (list !== undefined) rule.list = list;
+
+    if (scheduleInput !== undefined) {
+      const { schedule, error } = resolveSchedule(scheduleInput);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      rule.schedule = schedule;
+      rule.nextRunAt = getNextRun(schedule);
+    }
+
+    // A rule paused because its target went away can run again once fixed
+    rule.lastError = null;
+    await rule.save();
+    await populateRule(rule);
+
+    res.json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Recurrence not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Pause a recurrence rule
+// @route   POST /api/boards/:id/recurrences/:ruleId/pause
+// @access  Private (recurrence.manage)
+export const pauseRecurrence = async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    rule.paused = true;
+    await rule.save();
+    await populateRule(rule);
+
+    res.json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Recurrence not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resume a paused recurrence rule from its next future run
+// @route   POST /api/boards/:id/recurrences/:ruleId/resume
+// @access  Private (recurrence.manage)
+export const resumeRecurrence = async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    // Rules paused by the sweep may point at a template or list that is gone
+    const targetError = await validateTargets(req.board, {
+      template: rule.template.toString(),
+      list: rule.list.toString()
+    });
+    if (targetError) {
+      return res.status(400).json({ message: `${targetError}; update the recurrence before resuming it` });
+    }
+
+    // Runs missed while paused are skipped
+    rule.paused = false;
+    rule.lastError = null;
+    rule.nextRunAt = getNextRun(rule.schedule);
+    await rule.save();
+    await populateRule(rule);
+
+    res.json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Recurrence not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a recurrence rule; cards it created are kept
+// @route   DELETE /api/boards/:id/recurrences/:ruleId
+// @access  Private (recurrence.manage)
+export const deleteRecurrence = async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    await RecurrenceRule.deleteOne({ _id: rule._id });
+
+    res.json({ message: 'Recurrence removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Recurrence not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import Board from '../models/Board.js';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import { memberBoardsFilter } from '../utils/permissions.js';
+import { encodeCursor, decodeCursor, parseLimit } from '../utils/pagination.js';
+import { extractTerms, termsRegex, highlight, buildSnippet, matchLabels, rankingPipeline } from '../utils/search.js';
+
+const { ObjectId } = mongoose.Types;
+
+const SEARCH_PARAMS = ['board', 'list', 'label', 'assignee', 'createdBy', 'dueFrom', 'dueTo', 'cursor', 'limit'];
+
+// Cast a comma-separated list of ids, returning null if any id is invalid
+const parseIds = (value) => {
+  const ids = String(value).split(',').filter(Boolean);
+  if (!ids.every(id => ObjectId.isValid(id))) return null;
+  return ids.map(id => new ObjectId(id));
+};
+
+// @desc    Search cards, lists and boards across the user's boards
+// @route   GET /api/search?q=
+// @access  Private
+export const search = async (req, res) => {
+  try {
+    const { q, board, list, label, assignee, createdBy, dueFrom, dueTo, cursor } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: 'Please provide a search query' });
+    }
+
+    // Repeated params (?cursor=a&cursor=b) or brackets (?board[x]=1) parse to arrays and objects
+    const invalidParam = SEARCH_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (invalidParam) {
+      return res.status(400).json({ message: `Invalid ${invalidParam} parameter` });
+    }
+
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const terms = extractTerms(q);
+
+    // Only boards the user owns or is a member of are searchable
+    const boards = await Board.find(
+      { ...memberBoardsFilter(req.user._id), archivedAt: null },
+      'title background labels'
+    ).lean();
+    let boardIds = boards.map(b => b._id);
+
+    // Cards hold label ids; results show the catalog entries
+    const labelsById = new Map(boards.flatMap(b => (b.labels || []).map(l => [l._id.toString(), l])));
+
+    if (board) {
+      const requested = parseIds(board);
+      if (!requested) {
+        return res.status(400).json({ message: 'Invalid board id' });
+      }
+      boardIds = boardIds.filter(id => requested.some(r => r.equals(id)));
+    }
+
+    const filters = {
+      board: { $in: boardIds },
+      archivedAt: null
+    };
+
+    const idFilters = { list, labels: label, assignedTo: assignee, createdBy };
+    for (const [field, value] of Object.entries(idFilters)) {
+      if (!value) continue;
+      const ids = parseIds(value);
+      if (!ids) {
+        return res.status(400).json({ message: `Invalid ${field} id` });
+      }
+      filters[field] = { $in: ids };
+    }
+
+    if (dueFrom || dueTo) {
+      filters.dueDate = {};
+      if (dueFrom) filters.dueDate.$gte = new Date(dueFrom);
+      if (dueTo) filters.dueDate.$lte = new Date(dueTo);
+
+      if (Object.values(filters.dueDate).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid due date range' });
+      }
+    }
+
+    // Keyset pagination on (score desc, _id asc)
+    const after = decodeCursor(cursor);
+    if (cursor && (!after || typeof after.score !== 'number' || !ObjectId.isValid(after.id))) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    // Label names are not in the text index: cards carrying a label the query
+    // names are found by id and ranked together with the text matches
+    const searchedLabels = boards
+      .filter(b => boardIds.some(id => id.equals(b._id)))
+      .flatMap(b => matchLabels(b.labels || [], terms));
+
+    const [ranked] = await Card.aggregate(rankingPipeline({
+      query: q,
+      filters,
+      labels: searchedLabels,
+      after: after && { score: after.score, id: new ObjectId(after.id) },
+      limit,
+      collection: Card.collection.name
+    }));
+
+    const total = ranked.total.length > 0 ? ranked.total[0].count : 0;
+    const hasMore = ranked.hits.length > limit;
+    const hits = ranked.hits.slice(0, limit);
+
+    const found = await Card.find({ _id: { $in: hits.map(hit => hit._id) } })
+      .populate('list', 'title')
+      .populate('board', 'title')
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .lean();
+    const cardsById = new Map(found.map(card => [card._id.toString(), card]));
+
+    // A card deleted between the two reads is left out of the page
+    const page = hits
+      .filter(hit => cardsById.has(hit._id.toString()))
+      .map(hit => ({ ...cardsById.get(hit._id.toString()), score: hit.score }));
+
+    const cards = page.map(card => ({
+      _id: card._id,
+      title: card.title,
+      description: card.description,
+      labels: card.labels.map(id => labelsById.get(id.toString())).filter(Boolean),
+      dueDate: card.dueDate,
+      list: card.list,
+      board: card.board,
+      assignedTo: card.assignedTo,
+      createdBy: card.createdBy,
+      score: card.score,
+      highlights: {
+        title: highlight(card.title, terms),
+        description: buildSnippet(card.description, terms)
+      }
+    }));
+
+    const last = hits[hits.length - 1];
+    const response = {
+      query: q,
+      cards,
+      total,
+      nextCursor: hasMore ? encodeCursor({ score: last.score, id: last._id }) : null
+    };
+
+    // Board and list title matches are few, so they are only returned with the first page
+    if (!cursor) {
+      const titleRegex = termsRegex(terms);
+
+      response.boards = titleRegex
+        ? boards
+          .filter(b => boardIds.some(id => id.equals(b._id)) && titleRegex.test(b.title))
+          .map(({ labels, ...b }) => ({ ...b, highlights: { title: highlight(b.title, terms) } }))
+        : [];
+
+      const lists = titleRegex
+        ? await List.find({ board: { $in: boardIds }, archivedAt: null, title: titleRegex })
+          .populate('board', 'title')
+          .sort({ updatedAt: -1 })
+          .limit(limit)
+          .lean()
+        : [];
+
+      response.lists = lists.map(l => ({ ...l, highlights: { title: highlight(l.title, terms) } }));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,91 @@
+import BoardTemplate from '../models/BoardTemplate.js';
+import { BUILT_IN_TEMPLATES, summarizeTemplate, findTemplate } from '../utils/boardTemplates.js';
+import { createBlueprint } from '../utils/blueprints.js';
+
+// @desc    List built-in templates and the user's saved templates
+// @route   GET /api/templates
+// @access  Private
+export const getTemplates = async (req, res) => {
+  try {
+    const saved = await BoardTemplate.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json([...BUILT_IN_TEMPLATES, ...saved].map(summarizeTemplate));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a template with its full blueprint
+// @route   GET /api/templates/:id
+// @access  Private
+export const getTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ ...summarizeTemplate(template), blueprint: template.blueprint });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Save a board as a template (lists, cards, labels and custom fields; no people or dates)
+// @route   POST /api/boards/:id/template
+// @access  Private (board.template)
+export const saveBoardAsTemplate = async (req, res) => {
+  try {
+    const board = req.board;
+    const { name, description, cards } = req.body;
+
+    const blueprint = await createBlueprint(board, {
+      cards: cards !== false,
+      labels: true,
+      dueDates: false,
+      assignees: false,
+      members: false
+    });
+
+    const template = await BoardTemplate.create({
+      name: name || board.title,
+      description: description || '',
+      owner: req.user._id,
+      sourceBoard: board._id,
+      blueprint
+    });
+
+    res.status(201).json(summarizeTemplate(template));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a saved template
+// @route   DELETE /api/templates/:id
+// @access  Private (template owner)
+export const deleteTemplate = async (req, res) => {
+  try {
+    if (BUILT_IN_TEMPLATES.some(template => template.id === req.params.id)) {
+      return res.status(400).json({ message: 'Built-in templates cannot be deleted' });
+    }
+
+    const template = await BoardTemplate.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/TimeEntry.js';
+import Card from '../models/Card.js';
+import { can } from '../utils/permissions.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+
+const { ObjectId } = mongoose.Types;
+
+const secondsBetween = (start, end) => Math.max(0, Math.round((end - start) / 1000));
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Finish a running timer
+const stopTimer = async (entry, endedAt = new Date()) => {
+  entry.endedAt = endedAt;
+  entry.duration = secondsBetween(entry.startedAt, endedAt);
+  await entry.save();
+  return entry;
+};
+
+// Sum durations grouped by a field; running timers count up to now
+const sumDurations = (match, groupBy) => TimeEntry.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: groupBy ? `$${groupBy}` : null,
+      seconds: {
+        $sum: {
+          $cond: [
+            { $eq: ['$endedAt', null] },
+            { $divide: [{ $subtract: ['$$NOW', '$startedAt'] }, 1000] },
+            '$duration'
+          ]
+        }
+      },
+      entries: { $sum: 1 }
+    }
+  },
+  { $project: { _id: 0, [groupBy || 'total']: '$_id', seconds: { $round: ['$seconds', 0] }, entries: 1 } },
+  { $sort: { seconds: -1 } }
+]);
+
+// Resolve manual entry times from { minutes, startedAt? | endedAt? } or { startedAt, endedAt }
+const parseManualTimes = ({ minutes, startedAt, endedAt }) => {
+  if (minutes !== undefined) {
+    const value = Number(minutes);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: 'minutes must be a positive number' };
+    }
+    const duration = value * 60 * 1000;
+
+    // Anchored at startedAt if given, otherwise ending at endedAt (default now)
+    if (startedAt) {
+      const start = parseDate(startedAt);
+      return start ? { startedAt: start, endedAt: new Date(start.getTime() + duration) } : { error: 'Invalid startedAt' };
+    }
+    const end = endedAt ? parseDate(endedAt) : new Date();
+    return end ? { startedAt: new Date(end.getTime() - duration), endedAt: end } : { error: 'Invalid endedAt' };
+  }
+
+  const start = parseDate(startedAt);
+  const end = parseDate(endedAt);
+  if (!startedAt || !endedAt || !start || !end) {
+    return { error: 'Please provide minutes, or startedAt and endedAt' };
+  }
+  if (end <= start) {
+    return { error: 'endedAt must be after startedAt' };
+  }
+
+  return { startedAt: start, endedAt: end };
+};
+
+// Only the entry's owner, or someone who can manage time, may change it
+const canEditEntry = (req, entry) => (
+  entry.user.toString() === req.user._id.toString() || can(req.boardRole, 'time.manage')
+);
+
+// @desc    Get time entries and totals for a card
+// @route   GET /api/cards/:id/time
+// @access  Private (time.view)
+export const getCardTime = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const [entries, [total], byUser] = await Promise.all([
+      TimeEntry.find({ card: card._id })
+        .populate('user', 'name email')
+        .sort({ startedAt: -1 }),
+      sumDurations({ card: card._id }),
+      sumDurations({ card: card._id }, 'user')
+    ]);
+
+    await TimeEntry.populate(byUser, { path: 'user', select: 'name email' });
+
+    res.json({
+      estimate: card.estimate,
+      totalSeconds: total ? total.seconds : 0,
+      byUser,
+      running: entries.filter(entry => !entry.endedAt),
+      entries
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Start a timer on a card (stops the user's other running timer)
+// @route   POST /api/cards/:id/time/start
+// @access  Private (time.track)
+export const startCardTimer = async (req, res) => {
+  try {
+    const card = req.card;
+    const now = new Date();
+
+    // A user runs at most one timer at a time
+    const running = await TimeEntry.findOne({ user: req.user._id, endedAt: null });
+    if (running && running.card.toString() === card._id.toString()) {
+      return res.status(400).json({ message: 'A timer is already running on this card' });
+    }
+
+    let stopped = null;
+    if (running) {
+      stopped = await stopTimer(running, now);
+      emitBoardEvent(stopped.board, 'time.stopped', stopped, req.user._id);
+    }
+
+    const entry = await TimeEntry.create({
+      card: card._id,
+      board: card.board,
+      user: req.user._id,
+      source: 'timer',
+      startedAt: now,
+      note: req.body.note || ''
+    });
+
+    await entry.populate('user', 'name email');
+    emitBoardEvent(card.board, 'time.started', entry, req.user._id);
+
+    res.status(201).json({ entry, stopped });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Stop the current user's timer on a card
+// @route   POST /api/cards/:id/time/stop
+// @access  Private (time.track)
+export const stopCardTimer = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const running = await TimeEntry.findOne({ card: card._id, user: req.user._id, endedAt: null });
+    if (!running) {
+      return res.status(404).json({ message: 'No running timer on this card' });
+    }
+
+    if (req.body.note !== undefined) running.note = req.body.note;
+    const entry = await stopTimer(running);
+
+    await entry.populate('user', 'name email');
+    emitBoardEvent(card.board, 'time.stopped', entry, req.user._id);
+
+    res.json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log time manually
+// @route   POST /api/cards/:id/time
+// @access  Private (time.track)
+export const createTimeEntry = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const times = parseManualTimes(req.body);
+    if (times.error) {
+      return res.status(400).json({ message: times.error });
+    }
+
+    const entry = await TimeEntry.create({
+      card: card._id,
+      board: card.board,
+      user: req.user._id,
+      source: 'manual',
+      startedAt: times.startedAt,
+      endedAt: times.endedAt,
+      duration: secondsBetween(times.startedAt, times.endedAt),
+      note: req.body.note || ''
+    });
+
+    await entry.populate('user', 'name email');
+    emitBoardEvent(card.board, 'time.logged', entry, req.user._id);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Edit a time entry
+// @route   PUT /api/cards/:id/time/:entryId
+// @access  Private (time.track, owner or time.manage)
+export const updateTimeEntry = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, card: card._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    if (!canEditEntry(req, entry)) {
+      return res.status(403).json({ message: 'Not authorized to edit this time entry' });
+    }
+
+    const { minutes, startedAt, endedAt, note } = req.body;
+
+    if (minutes !== undefined || startedAt !== undefined || endedAt !== undefined) {
+      if (!entry.endedAt) {
+        return res.status(400).json({ message: 'Stop the timer before changing its times' });
+      }
+
+      // Changing only minutes keeps the start time
+      const times = parseManualTimes({
+        minutes,
+        startedAt: startedAt ?? entry.startedAt,
+        endedAt: endedAt ?? entry.endedAt
+      });
+      if (times.error) {
+        return res.status(400).json({ message: times.error });
+      }
+
+      entry.startedAt = times.startedAt;
+      entry.endedAt = times.endedAt;
+      entry.duration = secondsBetween(times.startedAt, times.endedAt);
+    }
+
+    if (note !== undefined) entry.note = note;
+
+    await entry.save();
+    await entry.populate('user', 'name email');
+    emitBoardEvent(card.board, 'time.updated', entry, req.user._id);
+
+    res.json(entry);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a time entry
+// @route   DELETE /api/cards/:id/time/:entryId
+// @access  Private (time.track, owner or time.manage)
+export const deleteTimeEntry = async (req, res) => {
+  try {
+    const card = req.card;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, card: card._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    if (!canEditEntry(req, entry)) {
+      return res.status(403).json({ message: 'Not authorized to delete this time entry' });
+    }
+
+    await entry.deleteOne();
+    emitBoardEvent(card.board, 'time.deleted', { _id: entry._id, card: card._id }, req.user._id);
+
+    res.json({ message: 'Time entry removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Time totals for a board by card, list and member
+// @route   GET /api/boards/:id/time?from=&to=&user=
+// @access  Private (time.view)
+export const getBoardTimeReport = async (req, res) => {
+  try {
+    const { from, to, user } = req.query;
+    const match = { board: req.board._id };
+
+    if (from || to) {
+      match.startedAt = {};
+      if (from) match.startedAt.$gte = parseDate(from);
+      if (to) match.startedAt.$lte = parseDate(to);
+
+      if (Object.values(match.startedAt).some(date => date === null)) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    if (user) {
+      if (!ObjectId.isValid(user)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      match.user = new ObjectId(user);
+    }
+
+    const [[total], byCard, byUser] = await Promise.all([
+      sumDurations(match),
+      sumDurations(match, 'card'),
+      sumDurations(match, 'user')
+    ]);
+
+    await TimeEntry.populate(byUser, { path: 'user', select: 'name email' });
+
+    // Lists are taken from the cards' current list
+    const cards = await Card.find(
+      { _id: { $in: byCard.map(row => row.card) } },
+      'title list estimate completedAt'
+    ).populate('list', 'title');
+    const cardsById = new Map(cards.map(card => [card._id.toString(), card]));
+
+    const byList = new Map();
+    const cardTotals = byCard.map((row) => {
+      const card = cardsById.get(row.card.toString());
+      const list = card && card.list;
+
+      if (list) {
+        const key = list._id.toString();
+        const current = byList.get(key) || { list: { _id: list._id, title: list.title }, seconds: 0, entries: 0 };
+        current.seconds += row.seconds;
+        current.entries += row.entries;
+        byList.set(key, current);
+      }
+
+      return {
+        card: card
+          ? { _id: card._id, title: card.title, estimate: card.estimate, completedAt: card.completedAt }
+          : { _id: row.card },
+        seconds: row.seconds,
+        entries: row.entries
+      };
+    });
+
+    res.json({
+      totalSeconds: total ? total.seconds : 0,
+      byCard: cardTotals,
+      byList: [...byList.values()].sort((a, b) => b.seconds - a.seconds),
+      byUser
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,90 @@
+import Card from '../models/Card.js';
+import { emitBoardEvent } from '../utils/realtime.js';
+import { logActivity } from '../utils/activity.js';
+import { scheduleCardReminders } from '../utils/dueDates.js';
+import { replayLatest, getHistory, summarizeEntry } from '../utils/journal.js';
+
+// Undo or redo the user's latest change and report it like the original change
+const replay = async (req, res, redo) => {
+  const verb = redo ? 'redo' : 'undo';
+  const result = await replayLatest({ board: req.board._id, user: req.user._id, role: req.boardRole, redo });
+
+  if (result.empty) {
+    return res.status(400).json({ message: `Nothing to ${verb}` });
+  }
+  if (result.forbidden && result.otherBoard) {
+    return res.status(403).json({
+      message: `You need edit access to the other board of this move to ${verb} it`,
+      board: result.otherBoard
+    });
+  }
+  if (result.forbidden) {
+    return res.status(403).json({ message: `Your role (${req.boardRole}) does not allow you to ${verb} this change` });
+  }
+  if (result.busy) {
+    return res.status(409).json({ message: `This change is already being ${redo ? 'redone' : 'undone'}` });
+  }
+  if (result.conflicts) {
+    return res.status(409).json({
+      message: `Cannot ${verb} this change: it was changed by someone else since, so it was removed from your history`,
+      entry: summarizeEntry(result.entry),
+      conflicts: result.conflicts
+    });
+  }
+
+  const { entry, events, cards } = result;
+
+  // Reminders follow restored and reverted due dates
+  for (const card of await Card.find({ _id: { $in: cards } })) {
+    await scheduleCardReminders(card);
+  }
+
+  events.forEach(({ board, type, data }) => emitBoardEvent(board || req.board._id, type, data, req.user._id));
+  await logActivity({
+    board: req.board._id,
+    actor: req.user._id,
+    action: `${entry.entityType}.${redo ? 'redone' : 'undone'}`,
+    entityType: entry.entityType,
+    entity: entry.entity,
+    card: entry.entityType === 'card' ? entry.entity : null,
+    after: { action: entry.action }
+  });
+
+  res.json({ [redo ? 'redone' : 'undone']: summarizeEntry(entry), ...(await getHistory(req.board._id, req.user._id)) });
+};
+
+// @desc    Get your undo and redo history on a board
+// @route   GET /api/boards/:id/history
+// @access  Private (board.view)
+export const getUndoHistory = async (req, res) => {
+  try {
+    res.json(await getHistory(req.board._id, req.user._id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Undo your latest change on a board
+// @route   POST /api/boards/:id/undo
+// @access  Private (board.view; the permission of the change being undone)
+export const undoChange = async (req, res) => {
+  try {
+    await replay(req, res, false);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Redo your latest undone change on a board
+// @route   POST /api/boards/:id/redo
+// @access  Private (board.view; the permission of the change being redone)
+export const redoChange = async (req, res) => {
+  try {
+    await replay(req, res, true);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
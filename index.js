@@ -6,6 +6,16 @@ import authRoutes from './routes/auth.js';
 import boardRoutes from './routes/boards.js';
 import listRoutes from './routes/lists.js';
 import cardRoutes from './routes/cards.js';
+import searchRoutes from './routes/search.js';
+import notificationRoutes from './routes/notifications.js';
+import templateRoutes from './routes/templates.js';
+import { initRealtime, closeRealtime } from './utils/realtime.js';
+import { startInviteSweep, stopInviteSweep } from './utils/invites.js';
+import { startMailWorker, stopMailWorker } from './utils/mail.js';
+import { startScheduler, stopScheduler } from './utils/scheduler.js';
+import { registerDueDateJobs } from './utils/dueDates.js';
+import { registerRecurringCardJobs } from './utils/recurringCards.js';
+import { migrateLegacyLabels } from './utils/labels.js';
 
 dotenv.config();
 
@@ -13,7 +23,8 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+// Let browsers read ETags for If-Match updates
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,7 +39,11 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       boards: '/api/boards',
       lists: '/api/lists',
-      cards: '/api/cards'
+      cards: '/api/cards',
+      search: '/api/search',
+      notifications: '/api/notifications',
+      templates: '/api/templates',
+      realtime: '/ws'
     }
   });
 });
@@ -41,15 +56,36 @@ app.use('/api/auth', authRoutes);
 app.use('/api/boards', boardRoutes);
 app.use('/api/lists', listRoutes);
 app.use('/api/cards', cardRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Connect to MongoDB and start server
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Move free-text card labels into board label catalogs (no-op once done)
+    await migrateLegacyLabels();
+
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on http://localhost:${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/api/health`);
     });
+
+    // WebSocket channel for real-time board sync
+    initRealtime(server);
+
+    // Mark invites past their expiry date as expired
+    startInviteSweep();
+
+    // Deliver queued emails from the outbox
+    startMailWorker();
+
+    // Background jobs: due-date reminders and overdue detection
+    await registerDueDateJobs();
+    await registerRecurringCardJobs();
+    startScheduler();
     
     server.on('error', (err) => {
       console.error('Server error:', err);
@@ -59,6 +95,10 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, closing server...');
+      closeRealtime();
+      stopInviteSweep();
+      stopMailWorker();
+      stopScheduler();
       server.close(() => {
         console.log('Server closed');
         process.exit(0);
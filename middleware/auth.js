@@ -1,6 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
+// Resolve the user behind a JWT (shared by HTTP and WebSocket auth)
+export const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.id).select('-password');
+};
+
 export const protect = async (req, res, next) => {
   let token;
 
@@ -9,11 +15,8 @@ export const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and get user from it
+      req.user = await getUserFromToken(token);
 
       if (!req.user) {
         return res.status(401).json({ message: 'User not found' });
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import Activity from '../models/Activity.js';
+import { checkBoardAccess } from '../utils/permissions.js';
+
+// Resolvers find the board a request targets. Each returns { boardId } or
+// { status, error }, and stashes any list/card it loaded on req for the controller.
+
+const notFound = (entity) => ({ status: 404, error: `${entity} not found` });
+
+// Board id taken straight from a route param, e.g. /api/boards/:id
+export const boardFromParam = (name = 'id') => async (req) => {
+  const boardId = req.params[name];
+  return mongoose.isValidObjectId(boardId) ? { boardId } : notFound('Board');
+};
+
+// Board id sent in the request body, e.g. POST /api/lists { board }
+export const boardFromBody = (name = 'board') => async (req) => {
+  const boardId = req.body[name];
+
+  if (!boardId) {
+    return { status: 400, error: `Please provide ${name}` };
+  }
+
+  return mongoose.isValidObjectId(boardId) ? { boardId } : notFound('Board');
+};
+
+const loadList = async (req, listId) => {
+  if (!mongoose.isValidObjectId(listId)) return notFound('List');
+
+  const list = await List.findById(listId);
+  if (!list) return notFound('List');
+
+  req.list = list;
+  return { boardId: list.board };
+};
+
+// Board of the list in a route param, e.g. /api/lists/:id
+export const boardFromListParam = (name = 'id') => (req) => loadList(req, req.params[name]);
+
+// Board of the list sent in the request body, e.g. PUT /api/cards/reorder { listId }
+export const boardFromListBody = (name = 'listId') => async (req) => {
+  if (!req.body[name]) {
+    return { status: 400, error: `Please provide ${name}` };
+  }
+  return loadList(req, req.body[name]);
+};
+
+// Board of the card in a route param, e.g. /api/cards/:id
+export const boardFromCardParam = (name = 'id') => async (req) => {
+  const cardId = req.params[name];
+  if (!mongoose.isValidObjectId(cardId)) return notFound('Card');
+
+  const card = await Card.findById(cardId);
+  if (!card) return notFound('Card');
+
+  req.card = card;
+  return { boardId: card.board };
+};
+
+// Like boardFromCardParam, but deleted cards fall back to their activity history
+export const boardFromCardHistory = (name = 'id') => async (req) => {
+  const resolved = await boardFromCardParam(name)(req);
+  if (resolved.boardId || !mongoose.isValidObjectId(req.params[name])) return resolved;
+
+  const activity = await Activity.findOne({ card: req.params[name] });
+  return activity ? { boardId: activity.board } : notFound('Card');
+};
+
+/**
+ * Require a board permission for the route
+ * Sets req.board and req.boardRole (plus req.list / req.card when the resolver loads them)
+ * @param {string} action - Key of PERMISSIONS in utils/permissions.js
+ * @param {Function} resolve - Resolver locating the board (defaults to the :id param)
+ */
+export const authorize = (action, resolve = boardFromParam('id')) => async (req, res, next) => {
+  try {
+    const { boardId, status, error } = await resolve(req);
+    if (!boardId) {
+      return res.status(status).json({ message: error });
+    }
+
+    const access = await checkBoardAccess(boardId, req.user._id, action);
+    if (!access.hasAccess) {
+      return res.status(access.status).json({ message: access.error });
+    }
+
+    req.board = access.board;
+    req.boardRole = access.role;
+
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,78 @@
+import multer from 'multer';
+
+// Attachment upload limits
+//   ATTACHMENT_MAX_SIZE      - max file size in bytes (default 10 MB)
+//   ATTACHMENT_ALLOWED_TYPES - comma-separated MIME types; `type/*` matches a family
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  'image/*',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+].join(',');
+
+const getMaxSize = () => Number(process.env.ATTACHMENT_MAX_SIZE) || DEFAULT_MAX_SIZE;
+
+const getAllowedTypes = () => (process.env.ATTACHMENT_ALLOWED_TYPES || DEFAULT_ALLOWED_TYPES)
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAllowedType = (mimeType) => {
+  const type = mimeType.toLowerCase();
+  return getAllowedTypes().some(allowed => (
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  ));
+};
+
+// Keep the file in memory; the controller hands it to the storage driver.
+// Built per request so limits follow the environment loaded at startup.
+const createUpload = () => multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: getMaxSize(), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedType(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Board import files are read as JSON whatever their type, up to IMPORT_MAX_SIZE bytes (default 20 MB)
+const DEFAULT_IMPORT_MAX_SIZE = 20 * 1024 * 1024;
+
+const createImportUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.IMPORT_MAX_SIZE) || DEFAULT_IMPORT_MAX_SIZE, files: 1 }
+});
+
+// Run an upload for a single file in `field`, turning upload errors into 4xx responses
+const handleUpload = (upload, field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ message: error.message });
+    }
+
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  });
+};
+
+// Accept a single attachment file in `field`
+export const uploadFile = (field) => (req, res, next) => handleUpload(createUpload(), field)(req, res, next);
+
+// Accept an optional board import file in `field`
+export const uploadImportFile = (field) => (req, res, next) => handleUpload(createImportUpload(), field)(req, res, next);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const activitySchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ['board', 'list', 'card', 'member', 'invite', 'comment', 'checklist', 'attachment', 'label', 'customField'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the board feed and the per-card history
+activitySchema.index({ board: 1, createdAt: -1 });
+activitySchema.index({ card: 1, createdAt: -1 });
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+export default Activity;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// File attached to a card; the bytes live in the configured storage driver
+const attachmentSchema = new mongoose.Schema({
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Driver the file was stored with and its key there (kept server-side)
+  driver: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true,
+    select: false
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ card: 1, createdAt: -1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
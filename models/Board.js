@@ -1,5 +1,56 @@
 import mongoose from 'mongoose';
 
+// Entry in the board's label catalog; cards reference labels by id
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a label name'],
+    trim: true,
+    maxlength: 50
+  },
+  color: {
+    type: String,
+    default: '#61bd4f',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Label color must be a hex color like #61bd4f']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  }
+});
+
+// Custom field definition; card values are stored under the field's id
+const customFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a field name'],
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'single-select', 'multi-select', 'checkbox', 'user'],
+    required: true
+  },
+  // Choices for single-select and multi-select fields
+  options: [{
+    name: {
+      type: String,
+      required: [true, 'Please provide an option name'],
+      trim: true
+    },
+    color: {
+      type: String,
+      default: null
+    }
+  }],
+  position: {
+    type: Number,
+    default: 0
+  }
+});
+
 const boardSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -18,13 +69,25 @@ const boardSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['admin', 'member'],
-      default: 'member'
+      // 'member' is the legacy name for 'editor'
+      enum: ['admin', 'editor', 'commenter', 'viewer', 'member'],
+      default: 'editor'
     }
   }],
+  labels: [labelSchema],
+  customFields: [customFieldSchema],
   background: {
     type: String,
     default: '#0079bf'
+  },
+  // Incremented whenever lists are moved or reordered
+  listOrderVersion: {
+    type: Number,
+    default: 0
+  },
+  archivedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
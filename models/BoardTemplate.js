@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Board saved as a reusable template; `blueprint` holds its lists, cards and settings
+const boardTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Board the template was saved from, if it still exists
+  sourceBoard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  blueprint: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+boardTemplateSchema.index({ owner: 1, createdAt: -1 });
+
+const BoardTemplate = mongoose.model('BoardTemplate', boardTemplateSchema);
+
+export default BoardTemplate;
@@ -1,5 +1,52 @@
 import mongoose from 'mongoose';
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Please provide item text'],
+    trim: true
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: {
+    type: Date,
+    default: null
+  },
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  }
+});
+
+const checklistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a checklist title'],
+    trim: true
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  items: [checklistItemSchema]
+});
+
 const cardSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -21,28 +68,70 @@ const cardSchema = new mongoose.Schema({
     ref: 'Board',
     required: true
   },
+  // Fractional rank within the list
   position: {
     type: Number,
     required: true,
     default: 0
   },
+  startDate: {
+    type: Date,
+    default: null
+  },
   dueDate: {
     type: Date,
     default: null
   },
+  // Estimated effort in minutes
+  estimate: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Ids from the board's label catalog
   labels: [{
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId
   }],
   assignedTo: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  checklists: [checklistSchema],
+  // Custom field values keyed by the board's field id
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Image attachment shown on the card front
+  cover: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set by the overdue sweep once the due date has passed
+  overdueAt: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true
 });
@@ -50,6 +139,16 @@ const cardSchema = new mongoose.Schema({
 // Index for efficient querying
 cardSchema.index({ list: 1, position: 1 });
 cardSchema.index({ board: 1 });
+cardSchema.index({ board: 1, dueDate: 1 });
+cardSchema.index({ board: 1, updatedAt: -1 });
+
+cardSchema.index({ board: 1, labels: 1 });
+
+// Full-text index for search, weighted towards titles
+cardSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'card_search', weights: { title: 10, description: 1 } }
+);
 
 const Card = mongoose.model('Card', cardSchema);
 
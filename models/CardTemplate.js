@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Reusable card blueprint for a board, used directly or by recurrence rules
+const cardTemplateSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a card title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Ids from the board's label catalog
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  checklists: [{
+    title: {
+      type: String,
+      required: [true, 'Please provide a checklist title'],
+      trim: true
+    },
+    items: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Minutes after creation the card is due, null for no due date
+  dueIn: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cardTemplateSchema.index({ board: 1, name: 1 });
+
+const CardTemplate = mongoose.model('CardTemplate', cardTemplateSchema);
+
+export default CardTemplate;
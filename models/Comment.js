@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please provide comment text'],
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for loading a card's thread and finding a user's mentions
+commentSchema.index({ card: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -24,12 +24,13 @@ const inviteSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'member'],
-    default: 'member'
+    // 'member' is the legacy name for 'editor'
+    enum: ['admin', 'editor', 'commenter', 'viewer', 'member'],
+    default: 'editor'
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'expired'],
+    enum: ['pending', 'accepted', 'expired', 'revoked', 'declined'],
     default: 'pending'
   },
   expiresAt: {
@@ -42,6 +43,8 @@ const inviteSchema = new mongoose.Schema({
 
 // Index to find pending invites
 inviteSchema.index({ email: 1, board: 1, status: 1 });
+// Index for the expiry sweep
+inviteSchema.index({ status: 1, expiresAt: 1 });
 
 const Invite = mongoose.model('Invite', inviteSchema);
 
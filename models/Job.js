@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Background jobs, persisted so scheduled work survives restarts
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Optional unique key so the same job is never scheduled twice
+  key: {
+    type: String,
+    default: undefined
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // Milliseconds between runs for recurring jobs
+  repeatEvery: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // When the job completed, failed for good or was cancelled; drives cleanup
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for picking up due jobs and finding a card's jobs
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+jobSchema.index({ name: 1, 'data.card': 1, status: 1 });
+
+// Finished jobs are removed after a week (pending and running jobs have no finishedAt)
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
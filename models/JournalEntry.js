@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One undoable change a user made to a board (see utils/journal.js)
+const journalEntrySchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Activity action of the change, e.g. list.deleted
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['board', 'list', 'card'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Permission the change needed; undoing and redoing it need it too
+  permission: {
+    type: String,
+    required: true
+  },
+  // [{ type: 'set', model, id, before, after }] or [{ type: 'delete' | 'create', model, id, records }]
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true
+  },
+  // false: on the undo stack; true: undone, on the redo stack
+  undone: {
+    type: Boolean,
+    default: false
+  },
+  // When the entry last moved onto its stack; the latest one is on top
+  stackedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+journalEntrySchema.index({ board: 1, user: 1, undone: 1, stackedAt: -1 });
+
+// Attachment files of deleted cards kept in storage while the delete can be undone
+// (or, for an undone create, redone)
+journalEntrySchema.methods.heldFiles = function() {
+  return this.steps
+    .filter(step => step.type === (this.undone ? 'create' : 'delete'))
+    .flatMap(step => step.records.Attachment || [])
+    .map(({ driver, storageKey }) => ({ driver, storageKey }));
+};
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+export default JournalEntry;
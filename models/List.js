@@ -11,10 +11,20 @@ const listSchema = new mongoose.Schema({
     ref: 'Board',
     required: true
   },
+  // Fractional rank among the board's lists
   position: {
     type: Number,
     required: true,
     default: 0
+  },
+  // Incremented whenever cards are moved into, out of or around the list
+  orderVersion: {
+    type: Number,
+    default: 0
+  },
+  archivedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
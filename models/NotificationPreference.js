@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from './Notification.js';
+
+// Channels for one event type; unset values fall back to the user's
+// all-boards preference, then to the defaults
+const channelSchema = new mongoose.Schema({
+  inApp: {
+    type: Boolean,
+    default: undefined
+  },
+  email: {
+    type: Boolean,
+    default: undefined
+  }
+}, {
+  _id: false
+});
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null holds the user's preferences for all boards
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  settings: Object.fromEntries(
+    NOTIFICATION_TYPES.map(type => [type, { type: channelSchema, default: () => ({}) }])
+  )
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.index({ user: 1, board: 1 }, { unique: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Creates a card from a template into a list on a schedule
+const recurrenceRuleSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CardTemplate',
+    required: true
+  },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true
+  },
+  // All times are UTC
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'cron'],
+      required: true
+    },
+    // HH:mm for daily, weekly and monthly rules
+    time: {
+      type: String,
+      default: '09:00'
+    },
+    // 0 (Sunday) to 6 for weekly rules
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null
+    },
+    // Five-field expression (minute hour day-of-month month day-of-week) for cron rules
+    cron: {
+      type: String,
+      default: null
+    }
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the sweep that picks up due rules
+recurrenceRuleSchema.index({ paused: 1, nextRunAt: 1 });
+recurrenceRuleSchema.index({ board: 1 });
+
+const RecurrenceRule = mongoose.model('RecurrenceRule', recurrenceRuleSchema);
+
+export default RecurrenceRule;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Time logged against a card, either by a timer or entered manually
+const timeEntrySchema = new mongoose.Schema({
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // null while a timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds; set when the entry is finished
+  duration: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  note: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for card totals, board reports and finding a user's running timer
+timeEntrySchema.index({ card: 1, startedAt: -1 });
+timeEntrySchema.index({ board: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, endedAt: 1 });
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { register, login, getMe } from '../controllers/authController.js';
+import { getMyInvites } from '../controllers/inviteController.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -7,5 +8,6 @@ const router = express.Router();
 router.post('/register', register);
 router.post('/login', login);
 router.get('/me', protect, getMe);
+router.get('/me/invites', protect, getMyInvites);
 
 export default router;
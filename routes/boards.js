@@ -9,9 +9,64 @@ import {
   inviteUser,
   acceptInvite,
   getBoardInvites,
-  getCardRecommendationsInBoard
+  getCardRecommendationsInBoard,
+  duplicateBoard,
+  exportBoard,
+  importBoard
 } from '../controllers/boardController.js';
+import { saveBoardAsTemplate } from '../controllers/templateController.js';
+import {
+  updateMemberRole,
+  removeBoardMember,
+  leaveBoard,
+  transferOwnership
+} from '../controllers/memberController.js';
+import {
+  revokeInvite,
+  resendInvite,
+  declineInvite
+} from '../controllers/inviteController.js';
+import {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+} from '../controllers/labelController.js';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  reorderCustomFields,
+  deleteCustomField
+} from '../controllers/customFieldController.js';
+import {
+  getCardTemplates,
+  createCardTemplate,
+  updateCardTemplate,
+  deleteCardTemplate,
+  createCardFromTemplateHandler
+} from '../controllers/cardTemplateController.js';
+import {
+  getRecurrences,
+  createRecurrence,
+  updateRecurrence,
+  pauseRecurrence,
+  resumeRecurrence,
+  deleteRecurrence
+} from '../controllers/recurrenceController.js';
+import { getOverdueCards } from '../controllers/cardController.js';
+import { getBoardTimeReport } from '../controllers/timeController.js';
+import { getBoardActivity } from '../controllers/activityController.js';
+import { getUndoHistory, undoChange, redoChange } from '../controllers/undoController.js';
+import {
+  archiveBoard,
+  restoreBoard,
+  getBoardArchive,
+  purgeBoardArchive
+} from '../controllers/archiveController.js';
 import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { uploadImportFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -19,16 +74,71 @@ router.route('/')
   .post(protect, createBoard)
   .get(protect, getUserBoards);
 
+router.post('/import', protect, uploadImportFile('file'), importBoard);
 router.post('/accept-invite/:token', protect, acceptInvite);
+router.post('/decline-invite/:token', protect, declineInvite);
 
 router.route('/:id')
-  .get(protect, getBoard)
-  .put(protect, updateBoard)
-  .delete(protect, deleteBoard);
-
-router.post('/:id/members', protect, addMember);
-router.post('/:id/invite', protect, inviteUser);
-router.get('/:id/invites', protect, getBoardInvites);
-router.get('/:id/cards/:cardId/recommendations', protect, getCardRecommendationsInBoard);
+  .get(protect, authorize('board.view'), getBoard)
+  .put(protect, authorize('board.update'), updateBoard)
+  .delete(protect, authorize('board.delete'), deleteBoard);
+
+router.post('/:id/duplicate', protect, authorize('board.duplicate'), duplicateBoard);
+router.post('/:id/template', protect, authorize('board.template'), saveBoardAsTemplate);
+router.get('/:id/export', protect, authorize('board.export'), exportBoard);
+
+router.post('/:id/members', protect, authorize('member.add'), addMember);
+router.route('/:id/members/:userId')
+  .patch(protect, authorize('member.update'), updateMemberRole)
+  .delete(protect, authorize('member.remove'), removeBoardMember);
+router.post('/:id/leave', protect, authorize('board.leave'), leaveBoard);
+router.post('/:id/transfer-ownership', protect, authorize('board.transfer'), transferOwnership);
+router.post('/:id/invite', protect, authorize('member.invite'), inviteUser);
+router.get('/:id/invites', protect, authorize('invite.view'), getBoardInvites);
+router.delete('/:id/invites/:inviteId', protect, authorize('invite.revoke'), revokeInvite);
+router.post('/:id/invites/:inviteId/resend', protect, authorize('member.invite'), resendInvite);
+router.route('/:id/labels')
+  .get(protect, authorize('label.view'), getLabels)
+  .post(protect, authorize('label.create'), createLabel);
+router.route('/:id/labels/:labelId')
+  .put(protect, authorize('label.update'), updateLabel)
+  .delete(protect, authorize('label.delete'), deleteLabel);
+router.route('/:id/custom-fields')
+  .get(protect, authorize('customField.view'), getCustomFields)
+  .post(protect, authorize('customField.create'), createCustomField);
+router.put('/:id/custom-fields/reorder', protect, authorize('customField.update'), reorderCustomFields);
+router.route('/:id/custom-fields/:fieldId')
+  .put(protect, authorize('customField.update'), updateCustomField)
+  .delete(protect, authorize('customField.delete'), deleteCustomField);
+router.route('/:id/card-templates')
+  .get(protect, authorize('cardTemplate.view'), getCardTemplates)
+  .post(protect, authorize('cardTemplate.manage'), createCardTemplate);
+router.route('/:id/card-templates/:templateId')
+  .put(protect, authorize('cardTemplate.manage'), updateCardTemplate)
+  .delete(protect, authorize('cardTemplate.manage'), deleteCardTemplate);
+router.post('/:id/card-templates/:templateId/cards', protect, authorize('card.create'), createCardFromTemplateHandler);
+router.route('/:id/recurrences')
+  .get(protect, authorize('recurrence.view'), getRecurrences)
+  .post(protect, authorize('recurrence.manage'), createRecurrence);
+router.route('/:id/recurrences/:ruleId')
+  .put(protect, authorize('recurrence.manage'), updateRecurrence)
+  .delete(protect, authorize('recurrence.manage'), deleteRecurrence);
+router.post('/:id/recurrences/:ruleId/pause', protect, authorize('recurrence.manage'), pauseRecurrence);
+router.post('/:id/recurrences/:ruleId/resume', protect, authorize('recurrence.manage'), resumeRecurrence);
+router.get('/:id/activity', protect, authorize('activity.view'), getBoardActivity);
+
+// Undo and redo check the permission of the change itself
+router.get('/:id/history', protect, authorize('board.view'), getUndoHistory);
+router.post('/:id/undo', protect, authorize('board.view'), undoChange);
+router.post('/:id/redo', protect, authorize('board.view'), redoChange);
+router.get('/:id/overdue', protect, authorize('card.view'), getOverdueCards);
+router.get('/:id/time', protect, authorize('time.view'), getBoardTimeReport);
+
+router.route('/:id/archive')
+  .get(protect, authorize('archive.view'), getBoardArchive)
+  .put(protect, authorize('board.archive'), archiveBoard)
+  .delete(protect, authorize('archive.purge'), purgeBoardArchive);
+router.put('/:id/restore', protect, authorize('board.restore'), restoreBoard);
+router.get('/:id/cards/:cardId/recommendations', protect, authorize('card.view'), getCardRecommendationsInBoard);
 
 export default router;
@@ -7,24 +7,122 @@ import {
   updateCard,
   deleteCard,
   moveCard,
+  copyCard,
   reorderCards,
+  batchCards,
   getCardRecommendations
 } from '../controllers/cardController.js';
+import { getCardActivity } from '../controllers/activityController.js';
+import { archiveCard, restoreCard } from '../controllers/archiveController.js';
+import {
+  getCardComments,
+  createComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import {
+  getCardTime,
+  startCardTimer,
+  stopCardTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+} from '../controllers/timeController.js';
+import {
+  getChecklists,
+  addChecklist,
+  addChecklistFromInsights,
+  updateChecklist,
+  deleteChecklist,
+  reorderChecklists,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklistItems
+} from '../controllers/checklistController.js';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+  setCardCover
+} from '../controllers/attachmentController.js';
 import { protect } from '../middleware/auth.js';
+import {
+  authorize,
+  boardFromParam,
+  boardFromBody,
+  boardFromListParam,
+  boardFromListBody,
+  boardFromCardParam,
+  boardFromCardHistory
+} from '../middleware/permissions.js';
+import { uploadFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
-router.post('/', protect, createCard);
-router.put('/reorder', protect, reorderCards);
-router.get('/list/:listId', protect, getListCards);
-router.get('/board/:boardId', protect, getBoardCards);
+const fromCard = boardFromCardParam();
+
+router.post('/', protect, authorize('card.create', boardFromBody('board')), createCard);
+// Batches span boards; each operation is authorized per card's board
+router.post('/batch', protect, batchCards);
+router.put('/reorder', protect, authorize('card.reorder', boardFromListBody('listId')), reorderCards);
+router.get('/list/:listId', protect, authorize('card.view', boardFromListParam('listId')), getListCards);
+router.get('/board/:boardId', protect, authorize('card.view', boardFromParam('boardId')), getBoardCards);
 
 router.route('/:id')
-  .get(protect, getCard)
-  .put(protect, updateCard)
-  .delete(protect, deleteCard);
+  .get(protect, authorize('card.view', fromCard), getCard)
+  .put(protect, authorize('card.update', fromCard), updateCard)
+  .delete(protect, authorize('card.delete', fromCard), deleteCard);
+
+router.get('/:id/recommendations', protect, authorize('card.view', fromCard), getCardRecommendations);
+router.get('/:id/activity', protect, authorize('activity.view', boardFromCardHistory()), getCardActivity);
+router.put('/:id/move', protect, authorize('card.move', fromCard), moveCard);
+router.post('/:id/copy', protect, authorize('card.view', fromCard), copyCard);
+router.put('/:id/archive', protect, authorize('card.archive', fromCard), archiveCard);
+router.put('/:id/restore', protect, authorize('card.restore', fromCard), restoreCard);
+
+router.route('/:id/comments')
+  .get(protect, authorize('comment.view', fromCard), getCardComments)
+  .post(protect, authorize('comment.create', fromCard), createComment);
+
+router.route('/:id/comments/:commentId')
+  .put(protect, authorize('comment.update', fromCard), updateComment)
+  .delete(protect, authorize('comment.delete', fromCard), deleteComment);
+
+router.route('/:id/checklists')
+  .get(protect, authorize('card.view', fromCard), getChecklists)
+  .post(protect, authorize('card.update', fromCard), addChecklist);
+router.post('/:id/checklists/from-insights', protect, authorize('card.update', fromCard), addChecklistFromInsights);
+router.put('/:id/checklists/reorder', protect, authorize('card.update', fromCard), reorderChecklists);
+
+router.route('/:id/checklists/:checklistId')
+  .put(protect, authorize('card.update', fromCard), updateChecklist)
+  .delete(protect, authorize('card.update', fromCard), deleteChecklist);
+
+router.post('/:id/checklists/:checklistId/items', protect, authorize('card.update', fromCard), addChecklistItem);
+router.put('/:id/checklists/:checklistId/items/reorder', protect, authorize('card.update', fromCard), reorderChecklistItems);
+
+router.route('/:id/checklists/:checklistId/items/:itemId')
+  .put(protect, authorize('card.update', fromCard), updateChecklistItem)
+  .delete(protect, authorize('card.update', fromCard), deleteChecklistItem);
+
+// Authorize before accepting the upload body
+router.route('/:id/attachments')
+  .get(protect, authorize('attachment.view', fromCard), getAttachments)
+  .post(protect, authorize('attachment.create', fromCard), uploadFile('file'), uploadAttachment);
+router.get('/:id/attachments/:attachmentId/download', protect, authorize('attachment.view', fromCard), downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', protect, authorize('attachment.delete', fromCard), deleteAttachment);
+router.put('/:id/cover', protect, authorize('card.update', fromCard), setCardCover);
+
+router.route('/:id/time')
+  .get(protect, authorize('time.view', fromCard), getCardTime)
+  .post(protect, authorize('time.track', fromCard), createTimeEntry);
+router.post('/:id/time/start', protect, authorize('time.track', fromCard), startCardTimer);
+router.post('/:id/time/stop', protect, authorize('time.track', fromCard), stopCardTimer);
 
-router.get('/:id/recommendations', protect, getCardRecommendations);
-router.put('/:id/move', protect, moveCard);
+router.route('/:id/time/:entryId')
+  .put(protect, authorize('time.track', fromCard), updateTimeEntry)
+  .delete(protect, authorize('time.track', fromCard), deleteTimeEntry);
 
 export default router;
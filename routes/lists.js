@@ -5,18 +5,32 @@ import {
   getList,
   updateList,
   deleteList,
-  reorderLists
+  reorderLists,
+  moveList,
+  copyList
 } from '../controllers/listController.js';
+import { archiveList, restoreList } from '../controllers/archiveController.js';
 import { protect } from '../middleware/auth.js';
+import {
+  authorize,
+  boardFromParam,
+  boardFromBody,
+  boardFromListParam
+} from '../middleware/permissions.js';
 
 const router = express.Router();
 
-router.post('/', protect, createList);
-router.put('/reorder', protect, reorderLists);
-router.get('/board/:boardId', protect, getBoardLists);
+router.post('/', protect, authorize('list.create', boardFromBody('board')), createList);
+router.put('/reorder', protect, authorize('list.reorder', boardFromBody('boardId')), reorderLists);
+router.get('/board/:boardId', protect, authorize('list.view', boardFromParam('boardId')), getBoardLists);
 router.route('/:id')
-  .get(protect, getList)
-  .put(protect, updateList)
-  .delete(protect, deleteList);
+  .get(protect, authorize('list.view', boardFromListParam()), getList)
+  .put(protect, authorize('list.update', boardFromListParam()), updateList)
+  .delete(protect, authorize('list.delete', boardFromListParam()), deleteList);
+
+router.post('/:id/move', protect, authorize('list.move', boardFromListParam()), moveList);
+router.post('/:id/copy', protect, authorize('list.view', boardFromListParam()), copyList);
+router.put('/:id/archive', protect, authorize('list.archive', boardFromListParam()), archiveList);
+router.put('/:id/restore', protect, authorize('list.restore', boardFromListParam()), restoreList);
 
 export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../controllers/notificationController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', protect, getNotifications);
+router.get('/unread-count', protect, getUnreadCount);
+router.post('/read-all', protect, markAllAsRead);
+
+router.route('/preferences')
+  .get(protect, getNotificationPreferences)
+  .put(protect, updateNotificationPreferences);
+
+router.patch('/:id/read', protect, markAsRead);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getTemplates,
+  getTemplate,
+  deleteTemplate
+} from '../controllers/templateController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', protect, getTemplates);
+
+router.route('/:id')
+  .get(protect, getTemplate)
+  .delete(protect, deleteTemplate);
+
+export default router;
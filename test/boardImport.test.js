@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { EXPORT_TYPE } from '../utils/boardExport.js';
+import { detectImportSource, parseBoardImport } from '../utils/boardImport.js';
+
+const { ObjectId } = mongoose.Types;
+
+const owner = new ObjectId();
+
+const trelloBoard = () => ({
+  name: 'Roadmap',
+  prefs: { backgroundColor: '#0079bf' },
+  labels: [{ id: 'l1', name: '', color: 'red_dark' }, { id: 'l2', name: 'Bug', color: 'unknown' }],
+  lists: [{ id: 'b', name: 'Done', pos: 2, closed: false }, { id: 'a', name: 'To Do', pos: 1, closed: false }],
+  cards: [
+    { id: 'c2', idList: 'a', name: 'Second', pos: 2, idLabels: ['l1', 'gone'], idMembers: ['m1'] },
+    { id: 'c1', idList: 'a', name: 'First', pos: 1, idLabels: [], due: '2026-03-01T00:00:00.000Z' },
+    { id: 'c3', idList: 'nowhere', name: 'Lost', pos: 3 }
+  ],
+  checklists: [{ idCard: 'c1', name: 'Steps', checkItems: [{ name: 'One', state: 'complete', pos: 1 }, { name: '', pos: 2 }] }],
+  members: [{ id: 'm1', fullName: 'Ada' }],
+  actions: [{ type: 'commentCard' }, { type: 'updateCard' }]
+});
+
+test('detectImportSource recognizes our export and Trello exports', () => {
+  assert.equal(detectImportSource({ type: EXPORT_TYPE }), 'board-export');
+  assert.equal(detectImportSource(trelloBoard()), 'trello');
+  assert.equal(detectImportSource({ name: 'Roadmap', lists: [] }), null);
+  assert.equal(detectImportSource([]), null);
+  assert.equal(detectImportSource(null), null);
+});
+
+test('parseBoardImport maps a Trello export and reports what it drops', async () => {
+  const { source, title, blueprint, unmapped } = await parseBoardImport(trelloBoard(), { owner });
+
+  assert.equal(source, 'trello');
+  assert.equal(title, 'Roadmap');
+  assert.equal(blueprint.background, '#0079bf');
+  assert.deepEqual(blueprint.labels.map(({ name, color }) => [name, color]), [['Red', '#eb5a46'], ['Bug', '#b3bac5']]);
+
+  assert.deepEqual(blueprint.lists.map(list => list.title), ['To Do', 'Done']);
+  const [first, second] = blueprint.lists[0].cards;
+  assert.deepEqual([first.title, second.title], ['First', 'Second']);
+  assert.deepEqual(second.labels, [blueprint.labels[0]._id]);
+  assert.deepEqual(first.dueDate, new Date('2026-03-01T00:00:00.000Z'));
+  assert.deepEqual(first.checklists[0].items.map(({ text, done }) => [text, done]), [['One', true]]);
+
+  assert.deepEqual(unmapped, {
+    members: ['Ada'],
+    assignments: 1,
+    labels: ['gone'],
+    cards: [{ title: 'Lost', reason: 'Its list is not in the export' }],
+    comments: 1
+  });
+});
+
+test('parseBoardImport rejects files it does not recognize', async () => {
+  assert.match((await parseBoardImport({ lists: [] }, { owner })).error, /^Unrecognized import file/);
+});
+
+test('parseBoardImport rejects entries that are not objects', async () => {
+  const withChecklistItem = trelloBoard();
+  withChecklistItem.checklists[0].checkItems.push(null);
+
+  assert.equal(
+    (await parseBoardImport({ ...trelloBoard(), cards: [null] }, { owner })).error,
+    'Invalid import file: cards[0] must be an object'
+  );
+  assert.equal(
+    (await parseBoardImport(withChecklistItem, { owner })).error,
+    'Invalid import file: checklists[0].checkItems[2] must be an object'
+  );
+  assert.equal(
+    (await parseBoardImport({ type: EXPORT_TYPE, members: ['ada@example.com'] }, { owner })).error,
+    'Invalid import file: members[0] must be an object'
+  );
+  assert.equal(
+    (await parseBoardImport({ type: EXPORT_TYPE, board: { customFields: [{ options: [7] }] } }, { owner })).error,
+    'Invalid import file: board.customFields[0].options[0] must be an object'
+  );
+  assert.equal(
+    (await parseBoardImport({ type: EXPORT_TYPE, lists: [{ title: 'To Do', cards: [{ title: 'Card', checklists: [false] }] }] }, { owner })).error,
+    'Invalid import file: lists[0].cards[0].checklists[0] must be an object'
+  );
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Board from '../models/Board.js';
+import Card from '../models/Card.js';
+import { parseBatch, applyBatch, MAX_BATCH_ITEMS } from '../utils/cardBatch.js';
+
+const { ObjectId } = mongoose.Types;
+
+// A board the user edits and one they only view, with a card on each
+const setup = () => {
+  const user = { _id: new ObjectId() };
+  const member = new ObjectId();
+  const edited = new Board({ title: 'Edited', owner: user._id, members: [{ user: member, role: 'editor' }], labels: [{ name: 'Bug', color: '#eb5a46' }] });
+  const viewed = new Board({ title: 'Viewed', owner: new ObjectId(), members: [{ user: user._id, role: 'viewer' }] });
+
+  const newCard = board => new Card({ title: 'Card', list: new ObjectId(), board: board._id, position: 0 });
+  const [mine, other] = [newCard(edited), newCard(viewed)];
+
+  return {
+    user,
+    member,
+    label: edited.labels[0]._id.toString(),
+    mine,
+    other,
+    cards: new Map([mine, other].map(card => [card._id.toString(), card])),
+    access: new Map([
+      [edited._id.toString(), { hasAccess: true, board: edited, role: 'owner' }],
+      [viewed._id.toString(), { hasAccess: true, board: viewed, role: 'viewer' }]
+    ])
+  };
+};
+
+test('parseBatch validates the mode and operations', () => {
+  const card = new ObjectId().toString();
+
+  assert.ok(parseBatch({ mode: 'all', operations: [{ op: 'archive', cards: [card] }] }).error);
+  assert.ok(parseBatch({ operations: [] }).error);
+  assert.ok(parseBatch({}).error);
+  assert.match(parseBatch({ operations: [{ op: 'explode', cards: [card] }] }).error, /^operations\[0\]: op must be one of/);
+  assert.match(parseBatch({ operations: [{ op: 'archive', cards: ['nope'] }] }).error, /^operations\[0\]: cards must be/);
+  assert.match(parseBatch({ operations: [null] }).error, /^operations\[0\]/);
+});
+
+test('parseBatch expands operations into one item per distinct card, atomic by default', () => {
+  const [first, second] = [new ObjectId().toString(), new ObjectId().toString()];
+
+  const batch = parseBatch({ operations: [{ op: 'archive', cards: [first, first, second] }, { op: 'delete', cards: [second] }] });
+
+  assert.equal(batch.mode, 'atomic');
+  assert.deepEqual(batch.items, [
+    { operation: 0, op: 'archive', card: first },
+    { operation: 0, op: 'archive', card: second },
+    { operation: 1, op: 'delete', card: second }
+  ]);
+  assert.equal(parseBatch({ mode: 'partial', operations: [{ op: 'archive', cards: [first] }] }).mode, 'partial');
+});
+
+test('parseBatch caps the number of items', () => {
+  const cards = Array.from({ length: MAX_BATCH_ITEMS + 1 }, () => new ObjectId().toString());
+
+  assert.match(parseBatch({ operations: [{ op: 'archive', cards }] }).error, /at most/);
+});
+
+test('applyBatch applies every item that passes and reports each one that fails', async () => {
+  const { user, member, label, mine, other, cards, access } = setup();
+  const missing = new ObjectId().toString();
+  const outsider = new ObjectId().toString();
+
+  const batch = parseBatch({
+    mode: 'partial',
+    operations: [
+      { op: 'update', cards: [mine._id, other._id, missing], fields: { title: 'Renamed' } },
+      { op: 'addLabels', cards: [mine._id], labels: [label] },
+      { op: 'assign', cards: [mine._id], users: [member] },
+      { op: 'assign', cards: [mine._id], users: [outsider] }
+    ]
+  });
+  const { results, changed, removed } = await applyBatch(batch, { cards, access, user });
+
+  assert.deepEqual(results.map(({ ok, status }) => [ok, status]), [
+    [true, undefined],
+    [false, 403],
+    [false, 404],
+    [true, undefined],
+    [true, undefined],
+    [false, 400]
+  ]);
+  assert.equal(results[5].error, 'Assignees must be members of the board');
+
+  // Failed items leave their cards untouched
+  assert.equal(mine.title, 'Renamed');
+  assert.equal(other.title, 'Card');
+  assert.deepEqual(mine.labels.map(String), [label]);
+  assert.deepEqual(mine.assignedTo.map(String), [member.toString()]);
+  assert.deepEqual([...changed], [mine._id.toString()]);
+  assert.equal(removed.size, 0);
+});
+
+test('applyBatch fails items on cards deleted or already archived earlier in the batch', async () => {
+  const { user, mine, cards, access } = setup();
+
+  const batch = parseBatch({
+    operations: [
+      { op: 'archive', cards: [mine._id] },
+      { op: 'archive', cards: [mine._id] },
+      { op: 'delete', cards: [mine._id] },
+      { op: 'update', cards: [mine._id], fields: { title: 'Too late' } }
+    ]
+  });
+  const { results, changed, removed } = await applyBatch(batch, { cards, access, user });
+
+  assert.deepEqual(results.map(({ ok, status }) => [ok, status]), [
+    [true, undefined],
+    [false, 400],
+    [true, undefined],
+    [false, 404]
+  ]);
+  assert.equal(results[1].error, 'Card is already archived');
+  assert.equal(mine.title, 'Card');
+  assert.ok(changed.has(mine._id.toString()));
+  assert.ok(removed.has(mine._id.toString()));
+});
+
+test('applyBatch rejects invalid operation parameters on every card they cover', async () => {
+  const { user, mine, cards, access } = setup();
+
+  const batch = parseBatch({
+    operations: [
+      { op: 'update', cards: [mine._id], fields: { list: new ObjectId() } },
+      { op: 'setDueDate', cards: [mine._id] },
+      { op: 'update', cards: [mine._id], fields: { startDate: '2026-05-02', dueDate: '2026-05-01' } }
+    ]
+  });
+  const { results, changed } = await applyBatch(batch, { cards, access, user });
+
+  assert.deepEqual(results.map(result => result.error), [
+    'Cannot update list in a batch',
+    'Please provide dueDate (null to clear it)',
+    'Start date must be before the due date'
+  ]);
+  assert.equal(changed.size, 0);
+});
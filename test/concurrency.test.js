@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import { etagFor, parseExpectedVersion, saveIfVersion, sendVersionConflict } from '../utils/concurrency.js';
+
+const { ObjectId } = mongoose.Types;
+
+// Just enough of an Express request and response
+const request = (headers = {}, body = {}) => ({ get: name => headers[name], body });
+
+const response = () => ({
+  headers: {},
+  set(name, value) { this.headers[name] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const card = (version) => {
+  const doc = new Card({ title: 'Card', list: new ObjectId(), board: new ObjectId(), position: 0 });
+  doc.__v = version;
+  doc.updatedAt = new Date('2026-01-02T03:04:05Z');
+  return doc;
+};
+
+test('etagFor combines the version and the update time', () => {
+  assert.equal(etagFor(card(3)), `"3-${new Date('2026-01-02T03:04:05Z').getTime()}"`);
+  assert.equal(etagFor({}), '"0-0"');
+});
+
+test('parseExpectedVersion reads the version back from an ETag in If-Match', () => {
+  const doc = card(5);
+
+  assert.deepEqual(parseExpectedVersion(request({ 'If-Match': etagFor(doc) })), { version: 5 });
+  assert.deepEqual(parseExpectedVersion(request({ 'If-Match': `W/${etagFor(doc)}` })), { version: 5 });
+  assert.deepEqual(parseExpectedVersion(request({ 'If-Match': '"7"' })), { version: 7 });
+  assert.deepEqual(parseExpectedVersion(request({ 'If-Match': '*' })), { version: undefined });
+  assert.ok(parseExpectedVersion(request({ 'If-Match': 'abc' })).error);
+});
+
+test('parseExpectedVersion falls back to the version body field', () => {
+  assert.deepEqual(parseExpectedVersion(request({}, { version: 2 })), { version: 2 });
+  assert.deepEqual(parseExpectedVersion(request()), { version: undefined });
+  assert.ok(parseExpectedVersion(request({}, { version: -1 })).error);
+
+  // The header wins over the body
+  assert.deepEqual(parseExpectedVersion(request({ 'If-Match': '"4-0"' }, { version: 2 })), { version: 4 });
+});
+
+test('saveIfVersion refuses a stale version without saving', async () => {
+  const doc = card(3);
+
+  assert.equal(await saveIfVersion(doc, 2), false);
+  assert.equal(doc.__v, 3);
+});
+
+test('sendVersionConflict answers 409 with the current state and a per-field diff', async () => {
+  const current = card(4);
+  current.title = 'Theirs';
+  const res = response();
+
+  await sendVersionConflict(res, {
+    entity: 'card',
+    current,
+    fields: ['title', 'description'],
+    requested: { title: 'Mine' },
+    serialize: async doc => ({ _id: doc._id, title: doc.title })
+  });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.headers.ETag, etagFor(current));
+  assert.equal(res.body.version, 4);
+  assert.deepEqual(res.body.current, { _id: current._id, title: 'Theirs' });
+  assert.deepEqual(res.body.conflicts, { title: { yours: 'Mine', current: 'Theirs' } });
+});
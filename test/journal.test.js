@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import List from '../models/List.js';
+import { captureState, changeStep, reorderSteps } from '../utils/journal.js';
+
+const { ObjectId } = mongoose.Types;
+
+test('reorderSteps records the items whose position changed, with their container', () => {
+  const list = new ObjectId();
+  const [first, second, third] = [0, 1, 2].map(position => new Card({ title: 'Card', list, board: new ObjectId(), position }));
+
+  const steps = reorderSteps([first, second, third], [
+    { id: first._id.toString(), position: 1 },
+    { id: second._id.toString(), position: 0 },
+    { id: third._id.toString(), position: 2 }
+  ]);
+
+  assert.deepEqual(steps, [
+    { type: 'set', model: 'Card', id: first._id, before: { list: list.toString(), position: 0 }, after: { list: list.toString(), position: 1 } },
+    { type: 'set', model: 'Card', id: second._id, before: { list: list.toString(), position: 1 }, after: { list: list.toString(), position: 0 } }
+  ]);
+});
+
+test('reorderSteps keeps lists to their board', () => {
+  const board = new ObjectId();
+  const list = new List({ title: 'To Do', board, position: 0 });
+
+  const [step] = reorderSteps([list], [{ id: list._id.toString(), position: 3 }]);
+
+  assert.deepEqual(step.before, { board: board.toString(), position: 0 });
+  assert.deepEqual(step.after, { board: board.toString(), position: 3 });
+});
+
+test('changeStep records a move to another board', () => {
+  const card = new Card({ title: 'Card', list: new ObjectId(), board: new ObjectId(), position: 0 });
+  const state = captureState(card);
+  const [board, list] = [new ObjectId(), new ObjectId()];
+
+  card.set({ board, list, position: 4 });
+
+  const step = changeStep(card, state);
+  assert.deepEqual(Object.keys(step.after).sort(), ['board', 'list', 'position']);
+  assert.equal(step.after.board, board.toString());
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import { rankBetween, parsePlacement, parseOrderVersion, resolveReorder } from '../utils/ordering.js';
+
+const { ObjectId } = mongoose.Types;
+
+test('rankBetween places items between, before and after their neighbours', () => {
+  assert.equal(rankBetween(null, null), 0);
+  assert.equal(rankBetween(null, 3), 2);
+  assert.equal(rankBetween(3, null), 4);
+  assert.equal(rankBetween(1, 2), 1.5);
+});
+
+test('rankBetween gives up when neighbours are too close to split', () => {
+  assert.equal(rankBetween(1, 1 + 1e-12), null);
+  assert.equal(rankBetween(2, 2), null);
+});
+
+test('parsePlacement reads afterId, beforeId or an index', () => {
+  const id = new ObjectId().toString();
+
+  assert.deepEqual(parsePlacement({ afterId: id }), { placement: { afterId: id } });
+  assert.deepEqual(parsePlacement({ beforeId: id }), { placement: { beforeId: id } });
+  assert.deepEqual(parsePlacement({ index: 2 }), { placement: { index: 2 } });
+  assert.deepEqual(parsePlacement({ position: 0 }), { placement: { index: 0 } });
+  assert.deepEqual(parsePlacement({}), { placement: {} });
+  assert.deepEqual(parsePlacement(), { placement: {} });
+});
+
+test('parsePlacement rejects conflicting or invalid placements', () => {
+  const id = new ObjectId().toString();
+
+  assert.ok(parsePlacement({ afterId: id, index: 1 }).error);
+  assert.equal(parsePlacement({ afterId: 'nope' }).error, 'Invalid afterId');
+  assert.equal(parsePlacement({ beforeId: 'nope' }).error, 'Invalid beforeId');
+  assert.ok(parsePlacement({ index: -1 }).error);
+  assert.ok(parsePlacement({ index: 1.5 }).error);
+});
+
+test('parseOrderVersion accepts non-negative integers only', () => {
+  assert.deepEqual(parseOrderVersion({ version: 4 }), { version: 4 });
+  assert.deepEqual(parseOrderVersion({}), { version: undefined });
+  assert.deepEqual(parseOrderVersion({ version: null }), { version: undefined });
+  assert.ok(parseOrderVersion({ version: -1 }).error);
+  assert.ok(parseOrderVersion({ version: '3' }).error);
+});
+
+test('resolveReorder rejects malformed payloads before touching the database', async () => {
+  const [first, second] = [new ObjectId(), new ObjectId()];
+  const scope = { list: new ObjectId() };
+
+  assert.equal((await resolveReorder(Card, scope, [])).error, 'Nothing to reorder');
+  assert.equal((await resolveReorder(Card, scope, [{ id: 'nope', position: 0 }])).error, 'Invalid id in reorder payload');
+  assert.equal(
+    (await resolveReorder(Card, scope, [{ id: first, position: 0 }, { id: first, position: 1 }])).error,
+    'Each item may appear only once'
+  );
+  assert.equal((await resolveReorder(Card, scope, [{ id: first, position: '0' }])).error, 'Positions must be numbers');
+  assert.equal(
+    (await resolveReorder(Card, scope, [{ id: first, position: 1 }, { id: second, position: 1 }])).error,
+    'Positions must be unique'
+  );
+});
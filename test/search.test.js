@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { extractTerms, matchLabels, rankingPipeline } from '../utils/search.js';
+
+const { ObjectId } = mongoose.Types;
+
+test('matchLabels finds labels named by the query', () => {
+  const bug = { _id: new ObjectId(), name: 'Bug' };
+  const needsReview = { _id: new ObjectId(), name: 'Needs review' };
+  const debugging = { _id: new ObjectId(), name: 'Debugging' };
+  const labels = [bug, needsReview, debugging];
+
+  assert.deepEqual(matchLabels(labels, extractTerms('login bug')), [bug._id]);
+  assert.deepEqual(matchLabels(labels, extractTerms('review needs')), [needsReview._id]);
+  assert.deepEqual(matchLabels(labels, extractTerms('review')), []);
+  assert.deepEqual(matchLabels(labels, []), []);
+});
+
+test('rankingPipeline unions label matches only when labels are searched', () => {
+  const filters = { board: { $in: [new ObjectId()] }, archivedAt: null };
+  const options = { query: 'login bug', filters, after: null, limit: 20, collection: 'cards' };
+
+  const textOnly = rankingPipeline({ ...options, labels: [] });
+  assert.deepEqual(textOnly[0], { $match: { $text: { $search: 'login bug' }, ...filters } });
+  assert.ok(!textOnly.some(stage => stage.$unionWith));
+
+  const bug = new ObjectId();
+  const union = rankingPipeline({ ...options, labels: [bug] }).find(stage => stage.$unionWith).$unionWith;
+  assert.equal(union.coll, 'cards');
+  assert.deepEqual(union.pipeline[0].$match.$and, [{ labels: { $in: [bug] } }]);
+});
+
+test('rankingPipeline pages after the cursor by score, then ascending id', () => {
+  const after = { score: 1.5, id: new ObjectId() };
+  const pipeline = rankingPipeline({ query: 'login', filters: {}, labels: [], after, limit: 20, collection: 'cards' });
+  const { hits } = pipeline[pipeline.length - 1].$facet;
+
+  assert.deepEqual(hits, [
+    { $match: { $or: [{ score: { $lt: 1.5 } }, { score: 1.5, _id: { $gt: after.id } }] } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: 21 }
+  ]);
+
+  const first = rankingPipeline({ query: 'login', filters: {}, labels: [], after: null, limit: 20, collection: 'cards' });
+  assert.deepEqual(first[first.length - 1].$facet.hits[0], { $sort: { score: -1, _id: 1 } });
+});
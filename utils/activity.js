@@ -0,0 +1,61 @@
+import Activity from '../models/Activity.js';
+
+// Normalize values (ObjectIds, Dates, arrays) so they can be compared and stored
+const normalize = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Pick a plain snapshot of selected fields from a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array} fields - Field names to copy
+ * @returns {Object} - Snapshot with normalized values
+ */
+export const snapshot = (doc, fields) => {
+  return fields.reduce((result, field) => {
+    result[field] = normalize(doc[field]);
+    return result;
+  }, {});
+};
+
+/**
+ * Compute a before/after diff between two snapshots
+ * @param {Object} before - Snapshot taken before the mutation
+ * @param {Object} after - Snapshot taken after the mutation
+ * @returns {Object} - Only the fields that changed, as { before, after }
+ */
+export const diffSnapshots = (before, after) => {
+  const diff = { before: {}, after: {} };
+
+  Object.keys(after).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff.before[field] = before[field];
+      diff.after[field] = after[field];
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Record a board mutation in the activity log
+ * Never throws: a failed log entry must not fail the request that caused it
+ * @param {Object} entry - { board, actor, action, entityType, entity, card, before, after }
+ */
+export const logActivity = async ({ board, actor, action, entityType, entity = null, card = null, before = null, after = null }) => {
+  try {
+    await Activity.create({
+      board,
+      actor,
+      action,
+      entityType,
+      entity,
+      card,
+      before: normalize(before),
+      after: normalize(after)
+    });
+  } catch (error) {
+    console.error('Failed to log activity:', error);
+  }
+};
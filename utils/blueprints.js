@@ -0,0 +1,149 @@
+import Board from '../models/Board.js';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import { getBoardRole } from './permissions.js';
+import { withTransaction } from './transaction.js';
+import { scheduleCardReminders } from './dueDates.js';
+
+// A blueprint is a plain description of a board used for duplication, templates and imports:
+//   { background, labels, customFields, members, lists: [{ title, archivedAt, cards: [...] }] }
+// Labels, custom fields and their options keep their ids, so card references
+// stay valid inside the copy without remapping.
+
+// What a copy includes unless asked otherwise
+export const DEFAULT_COPY_OPTIONS = {
+  cards: true,
+  labels: true,
+  dueDates: true,
+  assignees: false,
+  members: false
+};
+
+/**
+ * Read copy options from a request body, falling back to the defaults
+ * @param {Object} body - { cards, labels, dueDates, assignees, members }
+ * @returns {Object}
+ */
+export const parseCopyOptions = (body = {}) => {
+  const options = {};
+  Object.entries(DEFAULT_COPY_OPTIONS).forEach(([key, fallback]) => {
+    options[key] = typeof body[key] === 'boolean' ? body[key] : fallback;
+  });
+
+  // Assignees are only kept when the people come along
+  if (options.assignees) options.members = true;
+  return options;
+};
+
+const copyChecklists = (checklists, options) => checklists.map(checklist => ({
+  title: checklist.title,
+  position: checklist.position,
+  items: checklist.items.map(item => ({
+    text: item.text,
+    position: item.position,
+    assignee: options.assignees ? item.assignee : null,
+    dueDate: options.dueDates ? item.dueDate : null
+  }))
+}));
+
+const copyCard = (card, options) => ({
+  title: card.title,
+  description: card.description,
+  labels: options.labels ? card.labels : [],
+  startDate: options.dueDates ? card.startDate : null,
+  dueDate: options.dueDates ? card.dueDate : null,
+  estimate: card.estimate,
+  assignedTo: options.assignees ? card.assignedTo : [],
+  checklists: copyChecklists(card.checklists || [], options),
+  customFields: Object.fromEntries(card.customFields || [])
+});
+
+/**
+ * Capture a board's settings and active lists and cards as a blueprint
+ * Completion, comments, attachments and time entries are not copied.
+ * @param {Object} board - Board document
+ * @param {Object} options - Output of parseCopyOptions
+ * @returns {Object} - Blueprint
+ */
+export const createBlueprint = async (board, options = DEFAULT_COPY_OPTIONS) => {
+  const lists = await List.find({ board: board._id, archivedAt: null }).sort({ position: 1 });
+  const cards = options.cards
+    ? await Card.find({ board: board._id, archivedAt: null }).sort({ position: 1 })
+    : [];
+
+  return {
+    background: board.background,
+    labels: board.labels.map(label => label.toObject()),
+    customFields: board.customFields.map(field => field.toObject()),
+    members: options.members
+      ? board.members.map(member => ({ user: member.user, role: member.role }))
+      : [],
+    lists: lists.map(list => ({
+      title: list.title,
+      cards: cards
+        .filter(card => card.list.toString() === list._id.toString())
+        .map(card => copyCard(card, options))
+    }))
+  };
+};
+
+// Drop user-field values for people who are not on the new board
+const keepMemberValues = (board, values) => {
+  const userFields = new Set(board.customFields
+    .filter(field => field.type === 'user')
+    .map(field => field._id.toString()));
+
+  return Object.fromEntries(Object.entries(values || {}).filter(([id, value]) => (
+    !userFields.has(id) || getBoardRole(board, value) !== null
+  )));
+};
+
+/**
+ * Create a board, its lists and cards from a blueprint in one transaction
+ * @param {Object} blueprint - Output of createBlueprint or a built-in template
+ * @param {Object} attrs - { title, background, owner } for the new board
+ * @returns {Object} - { board, lists, cards } counts and the board document
+ */
+export const createBoardFromBlueprint = async (blueprint, { title, background, owner }) => {
+  const ownerId = owner.toString();
+
+  const result = await withTransaction(async (session) => {
+    const [board] = await Board.create([{
+      title,
+      owner,
+      background: background || blueprint.background || '#0079bf',
+      labels: blueprint.labels || [],
+      customFields: blueprint.customFields || [],
+      members: [
+        { user: owner, role: 'admin' },
+        ...(blueprint.members || []).filter(member => member.user.toString() !== ownerId)
+      ]
+    }], { session });
+
+    const lists = await List.insertMany((blueprint.lists || []).map((list, position) => ({
+      title: list.title,
+      board: board._id,
+      position,
+      archivedAt: list.archivedAt || null
+    })), { session });
+
+    const cards = (blueprint.lists || []).flatMap((list, listIndex) => (list.cards || []).map((card, position) => ({
+      ...card,
+      board: board._id,
+      list: lists[listIndex]._id,
+      position,
+      createdBy: owner,
+      assignedTo: (card.assignedTo || []).filter(user => getBoardRole(board, user) !== null),
+      customFields: keepMemberValues(board, card.customFields)
+    })));
+
+    const created = cards.length > 0 ? await Card.insertMany(cards, { session }) : [];
+
+    return { board, lists: lists.length, cards: created };
+  });
+
+  // Reminders live outside the transaction
+  await Promise.all(result.cards.filter(card => card.dueDate).map(card => scheduleCardReminders(card)));
+
+  return { board: result.board, lists: result.lists, cards: result.cards.length };
+};
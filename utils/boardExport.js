@@ -0,0 +1,154 @@
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import { getBoardRole } from './permissions.js';
+
+// Board exports
+//
+// The JSON export is a complete snapshot of a board that POST /api/boards/import
+// reads back: the board's settings, its members, and every list in position
+// order with its cards (archived ones included, flagged by archivedAt). Cards
+// reference labels, custom fields and people by the ids listed in the snapshot.
+
+export const EXPORT_TYPE = 'board-export';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+const exportChecklists = (checklists) => [...checklists]
+  .sort((a, b) => a.position - b.position)
+  .map(checklist => ({
+    title: checklist.title,
+    items: [...checklist.items]
+      .sort((a, b) => a.position - b.position)
+      .map(item => ({
+        text: item.text,
+        done: item.done,
+        dueDate: item.dueDate,
+        assignee: item.assignee
+      }))
+  }));
+
+const exportCard = (card) => ({
+  _id: card._id,
+  title: card.title,
+  description: card.description,
+  labels: card.labels,
+  assignees: card.assignedTo,
+  startDate: card.startDate,
+  dueDate: card.dueDate,
+  estimate: card.estimate,
+  completedAt: card.completedAt,
+  archivedAt: card.archivedAt,
+  checklists: exportChecklists(card.checklists),
+  customFields: Object.fromEntries(card.customFields || [])
+});
+
+/**
+ * Snapshot a board with its members, lists and cards
+ * @param {Object} board - Board document with owner and members.user populated
+ * @returns {Object} - Export document
+ */
+export const createBoardExport = async (board) => {
+  const [lists, cards] = await Promise.all([
+    List.find({ board: board._id }).sort({ position: 1 }),
+    Card.find({ board: board._id }).sort({ position: 1 })
+  ]);
+
+  const people = [board.owner, ...board.members.map(member => member.user)]
+    .filter(Boolean)
+    .filter((user, index, all) => all.findIndex(other => other._id.toString() === user._id.toString()) === index);
+
+  return {
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    board: {
+      _id: board._id,
+      title: board.title,
+      background: board.background,
+      labels: board.labels.map(({ _id, name, color, description }) => ({ _id, name, color, description })),
+      customFields: board.customFields.map(({ _id, name, type, options, position }) => ({
+        _id,
+        name,
+        type,
+        options: options.map(({ _id: optionId, name: optionName, color }) => ({ _id: optionId, name: optionName, color })),
+        position
+      }))
+    },
+    members: people.map(user => ({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: getBoardRole(board, user._id)
+    })),
+    lists: lists.map(list => ({
+      _id: list._id,
+      title: list.title,
+      archivedAt: list.archivedAt,
+      cards: cards
+        .filter(card => card.list.toString() === list._id.toString())
+        .map(exportCard)
+    }))
+  };
+};
+
+const CSV_COLUMNS = ['List', 'Card', 'Description', 'Labels', 'Assignees', 'Start Date', 'Due Date', 'Estimate (minutes)', 'Completed At', 'Archived', 'Checklist Items Done'];
+
+// Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Readable value of a custom field for a CSV cell
+const customFieldCell = (field, value, people) => {
+  if (value === null || value === undefined) return '';
+  const optionName = (id) => (field.options.find(option => option._id.toString() === id.toString()) || {}).name;
+
+  switch (field.type) {
+    case 'single-select':
+      return optionName(value) || '';
+    case 'multi-select':
+      return value.map(optionName).filter(Boolean).join('; ');
+    case 'user':
+      return people.get(value.toString()) || '';
+    default:
+      return value;
+  }
+};
+
+/**
+ * One CSV row per card, lists in position order
+ * @param {Object} snapshot - Output of createBoardExport
+ * @returns {string} - CSV text with a header row
+ */
+export const boardExportToCsv = ({ board, members, lists }) => {
+  const labels = new Map(board.labels.map(label => [label._id.toString(), label.name]));
+  const people = new Map(members.map(member => [member._id.toString(), member.name]));
+  const fields = [...board.customFields].sort((a, b) => a.position - b.position);
+
+  const rows = lists.flatMap(list => list.cards.map((card) => {
+    const items = card.checklists.flatMap(checklist => checklist.items);
+
+    return [
+      list.title,
+      card.title,
+      card.description,
+      card.labels.map(id => labels.get(id.toString())).filter(Boolean).join('; '),
+      card.assignees.map(id => people.get(id.toString())).filter(Boolean).join('; '),
+      card.startDate,
+      card.dueDate,
+      card.estimate,
+      card.completedAt,
+      card.archivedAt || list.archivedAt ? 'yes' : 'no',
+      items.length > 0 ? `${items.filter(item => item.done).length}/${items.length}` : '',
+      ...fields.map(field => customFieldCell(field, card.customFields[field._id.toString()], people))
+    ];
+  }));
+
+  return [[...CSV_COLUMNS, ...fields.map(field => field.name)], ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n');
+};
@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import Board from '../models/Board.js';
+import User from '../models/User.js';
+import { EXPORT_TYPE } from './boardExport.js';
+import { normalizeRole, ASSIGNABLE_ROLES } from './permissions.js';
+import { resolveCustomFieldValues } from './customFields.js';
+
+// Board imports
+//
+// An import file is turned into a blueprint (see blueprints.js) for a new board
+// owned by the importer. Two sources are read: our own JSON export and Trello's
+// JSON export. Whatever has no place on the new board is listed in an
+// `unmapped` report instead of failing the import.
+
+const { ObjectId } = mongoose.Types;
+
+export const IMPORT_SOURCES = ['board-export', 'trello'];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const LABEL_NAME_MAX_LENGTH = 50;
+
+// Trello's label palette; _dark and _light variants map to the base color
+const TRELLO_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563'
+};
+const NO_COLOR = '#b3bac5';
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const date = (value) => {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Arrays in each source whose entries must be objects, and the arrays nested in those entries
+const ENTRY_SHAPES = {
+  'board-export': {
+    board: { labels: {}, customFields: { options: {} } },
+    members: {},
+    lists: { cards: { checklists: { items: {} } } }
+  },
+  trello: { labels: {}, lists: {}, cards: {}, checklists: { checkItems: {} }, members: {}, customFields: {}, actions: {} }
+};
+
+// Path of the first array entry that is not an object (e.g. lists[2].cards[0]), or null
+const findInvalidEntry = (parent, shape, path = '') => {
+  for (const [key, nested] of Object.entries(shape)) {
+    // A single object (our export's board) is walked as is
+    const entries = isObject(parent[key]) ? [[null, parent[key]]] : [...asArray(parent[key]).entries()];
+
+    for (const [index, entry] of entries) {
+      const entryPath = index === null ? `${path}${key}` : `${path}${key}[${index}]`;
+      if (!isObject(entry)) return entryPath;
+
+      const invalid = findInvalidEntry(entry, nested, `${entryPath}.`);
+      if (invalid) return invalid;
+    }
+  }
+  return null;
+};
+
+const byPosition = (a, b) => (Number(a.pos) || 0) - (Number(b.pos) || 0);
+
+/**
+ * Tell which source an import file comes from
+ * @param {*} data - Parsed JSON
+ * @returns {string|null} - One of IMPORT_SOURCES, or null when not recognized
+ */
+export const detectImportSource = (data) => {
+  if (!isObject(data)) return null;
+  if (data.type === EXPORT_TYPE) return 'board-export';
+  if (Array.isArray(data.lists) && Array.isArray(data.cards) && typeof data.name === 'string') return 'trello';
+  return null;
+};
+
+// Collects what an import leaves behind
+const createReport = () => ({
+  members: new Set(),
+  assignments: 0,
+  labels: new Set(),
+  customFields: new Set(),
+  cards: [],
+  attachments: 0,
+  comments: 0
+});
+
+// Only the non-empty parts of a report
+const summarizeReport = (report) => Object.fromEntries(Object.entries(report)
+  .map(([key, value]) => [key, value instanceof Set ? [...value] : value])
+  .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value > 0)));
+
+// Exported members matched to existing users by email
+const mapExportMembers = async (members, owner, withMembers, report) => {
+  const users = new Map();
+  const added = [];
+  const emails = members.map(member => text(member.email).toLowerCase()).filter(Boolean);
+  const found = await User.find({ email: { $in: emails } }, 'email');
+  const byEmail = new Map(found.map(user => [user.email.toLowerCase(), user._id]));
+
+  for (const member of members) {
+    const email = text(member.email).toLowerCase();
+    const userId = byEmail.get(email);
+
+    if (userId && userId.toString() === owner.toString()) {
+      users.set(String(member._id), owner);
+    } else if (userId && withMembers) {
+      const role = normalizeRole(member.role);
+      users.set(String(member._id), userId);
+      added.push({ user: userId, role: ASSIGNABLE_ROLES.includes(role) ? role : 'viewer' });
+    } else {
+      report.members.add(text(member.name) || email || String(member._id));
+    }
+  }
+
+  return { users, members: added };
+};
+
+const importLabels = (labels) => labels
+  .filter(label => ObjectId.isValid(label._id) && text(label.name))
+  .map(label => ({
+    _id: label._id,
+    name: text(label.name).slice(0, LABEL_NAME_MAX_LENGTH),
+    color: HEX_COLOR.test(label.color) ? label.color : undefined,
+    description: text(label.description)
+  }));
+
+const importCustomFields = (fields, report) => fields.filter((field) => {
+  const valid = ObjectId.isValid(field._id) && text(field.name) &&
+    Board.schema.path('customFields').schema.path('type').enumValues.includes(field.type);
+  if (!valid) report.customFields.add(text(field.name) || String(field._id));
+  return valid;
+}).map(field => ({
+  _id: field._id,
+  name: text(field.name),
+  type: field.type,
+  options: asArray(field.options)
+    .filter(option => ObjectId.isValid(option._id) && text(option.name))
+    .map(option => ({ _id: option._id, name: text(option.name), color: option.color || null })),
+  position: Number(field.position) || 0
+}));
+
+// Custom field values valid on the new board; user values follow the member mapping
+const importCustomFieldValues = (board, values, users, report) => {
+  const imported = {};
+
+  Object.entries(isObject(values) ? values : {}).forEach(([id, raw]) => {
+    const field = ObjectId.isValid(id) ? board.customFields.id(id) : null;
+    if (!field) return;
+
+    const value = field.type === 'user' ? users.get(String(raw)) : raw;
+    const result = value === undefined ? { error: true } : resolveCustomFieldValues(board, { [id]: value });
+    if (result.error) {
+      report.customFields.add(field.name);
+    } else if (result.values[id] !== null) {
+      imported[id] = result.values[id];
+    }
+  });
+
+  return imported;
+};
+
+// Blueprint from our own JSON export
+const fromBoardExport = async (data, { owner, members: withMembers }, report) => {
+  const source = isObject(data.board) ? data.board : {};
+  const importedAt = new Date();
+
+  const { users, members } = await mapExportMembers(asArray(data.members), owner, withMembers, report);
+  const mapUser = (id) => {
+    const user = id ? users.get(String(id)) : undefined;
+    if (id && !user) report.assignments += 1;
+    return user || null;
+  };
+
+  const labels = importLabels(asArray(source.labels));
+  const labelIds = new Set(labels.map(label => label._id.toString()));
+  const customFields = importCustomFields(asArray(source.customFields), report);
+
+  // Unsaved board used to validate custom field values
+  const board = new Board({ title: 'import', owner, members, customFields });
+
+  const lists = asArray(data.lists).filter(list => text(list.title)).map(list => ({
+    title: text(list.title),
+    archivedAt: date(list.archivedAt),
+    cards: asArray(list.cards).flatMap((card) => {
+      if (!text(card.title)) {
+        report.cards.push({ title: '', reason: 'The card has no title' });
+        return [];
+      }
+
+      asArray(card.labels).filter(id => !labelIds.has(String(id))).forEach(id => report.labels.add(String(id)));
+
+      return [{
+        title: text(card.title),
+        description: text(card.description),
+        labels: asArray(card.labels).filter(id => labelIds.has(String(id))),
+        assignedTo: asArray(card.assignees).map(mapUser).filter(Boolean),
+        startDate: date(card.startDate),
+        dueDate: date(card.dueDate),
+        estimate: Number.isFinite(card.estimate) && card.estimate >= 0 ? card.estimate : null,
+        completedAt: date(card.completedAt),
+        archivedAt: date(card.archivedAt),
+        checklists: asArray(card.checklists).map((checklist, position) => ({
+          title: text(checklist.title) || 'Checklist',
+          position,
+          items: asArray(checklist.items).filter(item => text(item.text)).map((item, itemPosition) => ({
+            text: text(item.text),
+            position: itemPosition,
+            done: Boolean(item.done),
+            doneAt: item.done ? importedAt : null,
+            assignee: mapUser(item.assignee),
+            dueDate: date(item.dueDate)
+          }))
+        })),
+        customFields: importCustomFieldValues(board, card.customFields, users, report)
+      }];
+    })
+  }));
+
+  asArray(data.lists).filter(list => !text(list.title)).forEach((list) => {
+    asArray(list.cards).forEach(card => report.cards.push({ title: text(card.title), reason: 'Its list has no title' }));
+  });
+
+  return {
+    title: text(source.title),
+    blueprint: {
+      background: HEX_COLOR.test(source.background) ? source.background : undefined,
+      labels,
+      customFields,
+      members,
+      lists
+    }
+  };
+};
+
+const baseColor = (color) => text(color).replace(/_(dark|light)$/, '');
+
+const trelloColor = (color) => TRELLO_COLORS[baseColor(color)] || NO_COLOR;
+
+// Blueprint from a Trello board export (Menu → Print, export and share → Export as JSON)
+const fromTrello = (data, report) => {
+  const importedAt = new Date();
+
+  // Trello allows labels without a name; they are named after their color
+  const trelloLabels = asArray(data.labels);
+  const labels = trelloLabels.map(label => ({
+    _id: new ObjectId(),
+    name: (text(label.name) || baseColor(label.color).replace(/^./, letter => letter.toUpperCase()) || 'Label')
+      .slice(0, LABEL_NAME_MAX_LENGTH),
+    color: trelloColor(label.color)
+  }));
+  const labelIds = new Map(trelloLabels.map((label, index) => [label.id, labels[index]._id]));
+
+  const checklistsByCard = new Map();
+  asArray(data.checklists).forEach((checklist) => {
+    checklistsByCard.set(checklist.idCard, [...(checklistsByCard.get(checklist.idCard) || []), checklist]);
+  });
+
+  const lists = [...asArray(data.lists)].sort(byPosition).map(list => ({
+    id: list.id,
+    title: text(list.name) || 'Untitled list',
+    archivedAt: list.closed ? importedAt : null,
+    cards: []
+  }));
+  const listsById = new Map(lists.map(list => [list.id, list]));
+
+  [...asArray(data.cards)].sort(byPosition).forEach((card) => {
+    const list = listsById.get(card.idList);
+    if (!list) {
+      report.cards.push({ title: text(card.name), reason: 'Its list is not in the export' });
+      return;
+    }
+
+    const cardLabels = asArray(card.idLabels).map(id => labelIds.get(id)).filter(Boolean);
+    if (cardLabels.length < asArray(card.idLabels).length) {
+      asArray(card.idLabels).filter(id => !labelIds.has(id)).forEach(id => report.labels.add(id));
+    }
+
+    // Trello members are not users here, so their assignments are dropped
+    report.assignments += asArray(card.idMembers).length;
+    report.attachments += asArray(card.attachments).length;
+
+    const lastActivity = date(card.dateLastActivity) || importedAt;
+
+    list.cards.push({
+      title: text(card.name) || 'Untitled card',
+      description: text(card.desc),
+      labels: cardLabels,
+      assignedTo: [],
+      startDate: date(card.start),
+      dueDate: date(card.due),
+      completedAt: card.dueComplete ? lastActivity : null,
+      archivedAt: card.closed ? lastActivity : list.archivedAt,
+      checklists: [...(checklistsByCard.get(card.id) || [])].sort(byPosition).map((checklist, position) => ({
+        title: text(checklist.name) || 'Checklist',
+        position,
+        items: [...asArray(checklist.checkItems)].sort(byPosition).filter(item => text(item.name)).map((item, itemPosition) => {
+          if (item.idMember) report.assignments += 1;
+          return {
+            text: text(item.name),
+            position: itemPosition,
+            done: item.state === 'complete',
+            doneAt: item.state === 'complete' ? importedAt : null,
+            dueDate: date(item.due)
+          };
+        })
+      }))
+    });
+  });
+
+  asArray(data.members).forEach(member => report.members.add(text(member.fullName) || text(member.username) || member.id));
+  asArray(data.customFields).forEach(field => report.customFields.add(text(field.name) || field.id));
+  report.comments += asArray(data.actions).filter(action => action.type === 'commentCard').length;
+
+  const background = data.prefs && data.prefs.backgroundColor;
+
+  return {
+    title: text(data.name),
+    blueprint: {
+      background: HEX_COLOR.test(background) ? background : undefined,
+      labels,
+      customFields: [],
+      members: [],
+      lists: lists.map(({ title, archivedAt, cards }) => ({ title, archivedAt, cards }))
+    }
+  };
+};
+
+/**
+ * Read an import file into a blueprint for a new board
+ * @param {Object} data - Parsed JSON from our export or Trello's
+ * @param {Object} options - { owner, members }: the importing user; whether to add exported members
+ *   (matched by email; our export only)
+ * @returns {Object} - { source, title, blueprint, unmapped } or { error }
+ */
+export const parseBoardImport = async (data, { owner, members = false }) => {
+  const source = detectImportSource(data);
+  if (!source) {
+    return { error: 'Unrecognized import file: expected a board export or a Trello JSON export' };
+  }
+
+  const invalid = findInvalidEntry(data, ENTRY_SHAPES[source]);
+  if (invalid) {
+    return { error: `Invalid import file: ${invalid} must be an object` };
+  }
+
+  const report = createReport();
+  const { title, blueprint } = source === 'trello'
+    ? fromTrello(data, report)
+    : await fromBoardExport(data, { owner, members }, report);
+
+  return { source, title, blueprint, unmapped: summarizeReport(report) };
+};
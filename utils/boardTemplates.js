@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import BoardTemplate from '../models/BoardTemplate.js';
+
+// Templates shipped with the app; ids are fixed strings instead of ObjectIds
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'kanban',
+    name: 'Kanban',
+    description: 'A simple flow from backlog to done.',
+    blueprint: {
+      background: '#0079bf',
+      labels: [
+        { name: 'Bug', color: '#eb5a46' },
+        { name: 'Feature', color: '#61bd4f' },
+        { name: 'Improvement', color: '#0079bf' }
+      ],
+      customFields: [],
+      lists: [
+        { title: 'Backlog' },
+        { title: 'To Do' },
+        { title: 'In Progress' },
+        { title: 'Done' }
+      ]
+    }
+  },
+  {
+    id: 'scrum',
+    name: 'Scrum',
+    description: 'Sprint planning with story points and priorities.',
+    blueprint: {
+      background: '#519839',
+      labels: [
+        { name: 'Story', color: '#61bd4f' },
+        { name: 'Bug', color: '#eb5a46' },
+        { name: 'Task', color: '#0079bf' },
+        { name: 'Spike', color: '#c377e0' }
+      ],
+      customFields: [
+        { name: 'Story points', type: 'number', position: 0 },
+        {
+          name: 'Priority',
+          type: 'single-select',
+          position: 1,
+          options: [
+            { name: 'High', color: '#eb5a46' },
+            { name: 'Medium', color: '#f2d600' },
+            { name: 'Low', color: '#61bd4f' }
+          ]
+        },
+        { name: 'Sprint', type: 'text', position: 2 }
+      ],
+      lists: [
+        { title: 'Product Backlog' },
+        { title: 'Sprint Backlog' },
+        { title: 'In Progress' },
+        { title: 'In Review' },
+        { title: 'Done' }
+      ]
+    }
+  },
+  {
+    id: 'bug-triage',
+    name: 'Bug triage',
+    description: 'Track incoming bugs from report to resolution.',
+    blueprint: {
+      background: '#b04632',
+      labels: [
+        { name: 'Frontend', color: '#00c2e0' },
+        { name: 'Backend', color: '#344563' },
+        { name: 'Regression', color: '#ff9f1a' }
+      ],
+      customFields: [
+        {
+          name: 'Severity',
+          type: 'single-select',
+          position: 0,
+          options: [
+            { name: 'Critical', color: '#eb5a46' },
+            { name: 'Major', color: '#ff9f1a' },
+            { name: 'Minor', color: '#f2d600' },
+            { name: 'Trivial', color: '#61bd4f' }
+          ]
+        },
+        { name: 'Reproducible', type: 'checkbox', position: 1 },
+        { name: 'Reported by', type: 'text', position: 2 },
+        { name: 'Fixed in version', type: 'text', position: 3 }
+      ],
+      lists: [
+        { title: 'New' },
+        { title: 'Triaged' },
+        { title: 'In Progress' },
+        { title: 'Fixed' },
+        { title: "Won't Fix" }
+      ]
+    }
+  }
+];
+
+/**
+ * Summary of a template for listings
+ * @param {Object} template - Built-in template or BoardTemplate document
+ * @returns {Object}
+ */
+export const summarizeTemplate = (template) => {
+  const lists = template.blueprint.lists || [];
+  return {
+    _id: template.id || template._id,
+    name: template.name,
+    description: template.description,
+    builtIn: BUILT_IN_TEMPLATES.includes(template),
+    lists: lists.map(list => list.title),
+    cardCount: lists.reduce((total, list) => total + (list.cards || []).length, 0),
+    labels: (template.blueprint.labels || []).map(label => ({ name: label.name, color: label.color })),
+    customFields: (template.blueprint.customFields || []).map(field => ({ name: field.name, type: field.type })),
+    createdAt: template.createdAt || null
+  };
+};
+
+/**
+ * Find a template the user can use: a built-in one or one they saved
+ * @param {string} id - Built-in id or BoardTemplate id
+ * @param {ObjectId} userId - Requesting user
+ * @returns {Object|null}
+ */
+export const findTemplate = async (id, userId) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === id);
+  if (builtIn) return builtIn;
+
+  if (!mongoose.isValidObjectId(id)) return null;
+  return BoardTemplate.findOne({ _id: id, owner: userId });
+};
@@ -0,0 +1,277 @@
+import mongoose from 'mongoose';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import { getBoardRole, can } from './permissions.js';
+import { resolveCardLabels } from './labels.js';
+import { placeItem, rankBetween } from './ordering.js';
+import { resolveCustomFieldValues, applyCustomFieldValues } from './customFields.js';
+
+// Batch operations on cards
+//
+// A batch is a list of operations, each applied to a list of cards:
+//   { op: 'addLabels', cards: [cardId, ...], labels: [labelId, ...] }
+// Every (operation, card) pair is an item with its own result. Operations are
+// validated once per board they touch, then applied to the loaded cards in
+// memory in order; nothing is written until the whole batch has been checked.
+
+export const BATCH_MODES = ['atomic', 'partial'];
+
+// Most items (operation × card pairs) accepted in one batch
+export const MAX_BATCH_ITEMS = 500;
+
+const UPDATE_FIELDS = ['title', 'description', 'startDate', 'dueDate', 'estimate', 'completed', 'customFields'];
+
+const isIdList = (value) => Array.isArray(value) && value.length > 0 && value.every(id => mongoose.isValidObjectId(id));
+
+// null clears a date; undefined means the value is invalid
+const parseDate = (value) => {
+  if (value === null) return null;
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date.getTime()) ? date : undefined;
+};
+
+// Check the fields of an update once; the changes apply to every card
+const prepareUpdate = (board, { fields }) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return { error: 'update needs a fields object' };
+  }
+
+  const unknown = Object.keys(fields).filter(field => !UPDATE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Cannot update ${unknown.join(', ')} in a batch` };
+  }
+
+  const changes = {};
+  const { title, description, estimate, completed, customFields } = fields;
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) return { error: 'title must be a non-empty string' };
+    changes.title = title;
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string') return { error: 'description must be a string' };
+    changes.description = description;
+  }
+  for (const field of ['startDate', 'dueDate']) {
+    if (fields[field] === undefined) continue;
+    const date = parseDate(fields[field]);
+    if (date === undefined) return { error: `${field} must be a date or null` };
+    changes[field] = date;
+  }
+  if (estimate !== undefined) {
+    if (estimate !== null && (typeof estimate !== 'number' || !(estimate >= 0))) {
+      return { error: 'estimate must be a number of minutes or null' };
+    }
+    changes.estimate = estimate;
+  }
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    return { error: 'completed must be true or false' };
+  }
+
+  const fieldValues = customFields !== undefined ? resolveCustomFieldValues(board, customFields) : null;
+  if (fieldValues && fieldValues.error) return { error: fieldValues.error };
+
+  return {
+    apply: (card, { user }) => {
+      const startDate = changes.startDate !== undefined ? changes.startDate : card.startDate;
+      const dueDate = changes.dueDate !== undefined ? changes.dueDate : card.dueDate;
+      if (startDate && dueDate && startDate > dueDate) {
+        return 'Start date must be before the due date';
+      }
+
+      card.set(changes);
+      if (fieldValues) applyCustomFieldValues(card, fieldValues.values);
+      if (completed !== undefined && completed !== Boolean(card.completedAt)) {
+        card.completedAt = completed ? new Date() : null;
+        card.completedBy = completed ? user._id : null;
+      }
+      return null;
+    }
+  };
+};
+
+const prepareMove = async (board, { listId }) => {
+  const list = mongoose.isValidObjectId(listId)
+    ? await List.findOne({ _id: listId, board: board._id, archivedAt: null })
+    : null;
+  if (!list) return { error: 'Invalid list for this board' };
+
+  return {
+    // Moved cards go to the end of the list, in batch order
+    apply: async (card, context) => {
+      if (card.list.toString() === list._id.toString()) return null;
+
+      context.touchedLists.add(card.list.toString());
+      context.touchedLists.add(list._id.toString());
+      card.list = list._id;
+      card.position = await context.nextPosition(list._id);
+      return null;
+    }
+  };
+};
+
+const prepareLabels = (adding) => (board, { labels }) => {
+  const result = resolveCardLabels(board, labels || []);
+  if (result.error) return { error: result.error };
+  if (result.labels.length === 0) return { error: 'labels must list at least one label id' };
+
+  return {
+    apply: (card) => {
+      const current = card.labels.map(String);
+      card.labels = adding
+        ? [...new Set([...current, ...result.labels])]
+        : current.filter(id => !result.labels.includes(id));
+      return null;
+    }
+  };
+};
+
+const prepareAssignees = (adding) => (board, { users }) => {
+  if (!isIdList(users)) return { error: 'users must be a non-empty array of user ids' };
+
+  const ids = [...new Set(users.map(String))];
+  if (adding && !ids.every(id => getBoardRole(board, id) !== null)) {
+    return { error: 'Assignees must be members of the board' };
+  }
+
+  return {
+    apply: (card) => {
+      const current = card.assignedTo.map(user => (user._id || user).toString());
+      card.assignedTo = adding
+        ? [...new Set([...current, ...ids])]
+        : current.filter(id => !ids.includes(id));
+      return null;
+    }
+  };
+};
+
+/**
+ * Supported operations: the permission each needs on the card's board and a
+ * `prepare(board, params)` that validates the parameters for that board.
+ * It returns { error } or { apply(card, context) }, where apply returns an
+ * error message (leaving the card untouched) or null. Deletes are flagged with
+ * `remove` and applied when the batch is written.
+ */
+export const BATCH_OPERATIONS = {
+  update: { action: 'card.update', prepare: prepareUpdate },
+  setDueDate: {
+    action: 'card.update',
+    prepare: (board, { dueDate }) => (dueDate === undefined
+      ? { error: 'Please provide dueDate (null to clear it)' }
+      : prepareUpdate(board, { fields: { dueDate } }))
+  },
+  move: { action: 'card.move', prepare: prepareMove },
+  addLabels: { action: 'card.update', prepare: prepareLabels(true) },
+  removeLabels: { action: 'card.update', prepare: prepareLabels(false) },
+  assign: { action: 'card.update', prepare: prepareAssignees(true) },
+  unassign: { action: 'card.update', prepare: prepareAssignees(false) },
+  archive: {
+    action: 'card.archive',
+    prepare: () => ({
+      apply: (card) => {
+        if (card.archivedAt) return 'Card is already archived';
+        card.archivedAt = new Date();
+        return null;
+      }
+    })
+  },
+  delete: { action: 'card.delete', prepare: () => ({ apply: () => null, remove: true }) }
+};
+
+/**
+ * Validate a batch request and expand it into items
+ * @param {Object} body - { mode, operations }
+ * @returns {Object} - { mode, operations, items: [{ operation, op, card }] } or { error }
+ */
+export const parseBatch = ({ mode = 'atomic', operations } = {}) => {
+  if (!BATCH_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${BATCH_MODES.join(', ')}` };
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'Please provide an operations array' };
+  }
+
+  const items = [];
+  for (const [index, operation] of operations.entries()) {
+    if (!operation || !BATCH_OPERATIONS[operation.op]) {
+      return { error: `operations[${index}]: op must be one of ${Object.keys(BATCH_OPERATIONS).join(', ')}` };
+    }
+    if (!isIdList(operation.cards)) {
+      return { error: `operations[${index}]: cards must be a non-empty array of card ids` };
+    }
+    new Set(operation.cards.map(String)).forEach(card => items.push({ operation: index, op: operation.op, card }));
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    return { error: `A batch can change at most ${MAX_BATCH_ITEMS} cards (operations × cards)` };
+  }
+
+  return { mode, operations, items };
+};
+
+/**
+ * Apply a batch to loaded cards in memory, recording a result per item
+ * @param {Object} batch - Output of parseBatch
+ * @param {Object} context - { cards: Map id → card, access: Map boardId → checkBoardAccess result, user }
+ * @returns {Object} - { results, changed: Set of card ids, removed: Set of card ids, touchedLists }
+ */
+export const applyBatch = async ({ operations, items }, { cards, access, user }) => {
+  const prepared = new Map();
+  const positions = new Map();
+  const changed = new Set();
+  const removed = new Set();
+  const touchedLists = new Set();
+
+  const context = {
+    user,
+    touchedLists,
+    // Cards moved into a list go after its active cards, in batch order
+    nextPosition: async (listId) => {
+      const key = listId.toString();
+      const position = positions.has(key)
+        ? rankBetween(positions.get(key), null)
+        : (await placeItem(Card, { list: listId, archivedAt: null }, {})).position;
+      positions.set(key, position);
+      return position;
+    }
+  };
+
+  const runItem = async ({ operation, op, card: cardId }) => {
+    const card = cards.get(cardId);
+    const boardAccess = card && access.get(card.board.toString());
+
+    // Cards on boards the user can't see are reported as missing
+    if (!card || !boardAccess.hasAccess) return { status: 404, error: 'Card not found' };
+    if (removed.has(cardId)) return { status: 404, error: 'Card is deleted earlier in this batch' };
+
+    const definition = BATCH_OPERATIONS[op];
+    if (!can(boardAccess.role, definition.action)) {
+      return { status: 403, error: `Your role (${boardAccess.role}) does not allow this action` };
+    }
+
+    const key = `${operation}:${card.board}`;
+    if (!prepared.has(key)) {
+      prepared.set(key, await definition.prepare(boardAccess.board, operations[operation]));
+    }
+    const preparation = prepared.get(key);
+    if (preparation.error) return { status: 400, error: preparation.error };
+
+    const error = await preparation.apply(card, context);
+    if (error) return { status: 400, error };
+
+    if (preparation.remove) {
+      removed.add(cardId);
+    } else {
+      changed.add(cardId);
+    }
+    return null;
+  };
+
+  const results = [];
+  for (const item of items) {
+    const failure = await runItem(item);
+    results.push(failure ? { ...item, ok: false, ...failure } : { ...item, ok: true });
+  }
+
+  return { results, changed, removed, touchedLists };
+};
@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import { encodeCursor, decodeCursor, parseLimit } from './pagination.js';
+import { SORTABLE_TYPES, findCustomField, customFieldPath, parseCustomFieldFilters } from './customFields.js';
+
+const { ObjectId } = mongoose.Types;
+
+const SORT_FIELDS = ['position', 'dueDate', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['dueDate', 'createdAt', 'updatedAt'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cast a comma-separated list of ids, returning null if any id is invalid
+const parseIds = (value) => {
+  const ids = String(value).split(',').filter(Boolean);
+  if (!ids.every(id => ObjectId.isValid(id))) return null;
+  return ids.map(id => new ObjectId(id));
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Date range for the `due` shortcut windows
+const dueWindow = (due, now = new Date()) => {
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+
+  switch (due) {
+    case 'overdue':
+      return { $lt: now };
+    case 'today':
+      return { $gte: now, $lte: endOfToday };
+    case 'week': {
+      // Until the end of Sunday
+      const endOfWeek = new Date(endOfToday);
+      endOfWeek.setDate(endOfWeek.getDate() + ((7 - endOfWeek.getDay()) % 7));
+      return { $gte: now, $lte: endOfWeek };
+    }
+    case 'none':
+      return null;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Build a Mongo filter from card listing query params
+ * Supported: labels (label ids or none), assignedTo, createdBy, due (overdue|today|week|none),
+ * dueFrom, dueTo, completed (true|false), q (title/description text match), updatedSince,
+ * and cf[<fieldId>] custom field filters when the board is given
+ * @param {Object} query - req.query
+ * @param {Object} board - Board document the cards belong to (optional)
+ * @returns {Object} - { filter } or { error }
+ */
+export const parseCardFilters = (query, board = null) => {
+  const filter = {};
+
+  for (const field of ['labels', 'assignedTo', 'createdBy']) {
+    if (!query[field]) continue;
+
+    // labels=none and assignedTo=none find unlabeled and unassigned cards
+    if (field !== 'createdBy' && query[field] === 'none') {
+      filter[field] = { $size: 0 };
+      continue;
+    }
+
+    const ids = parseIds(query[field]);
+    if (!ids) {
+      return { error: `Invalid ${field} id` };
+    }
+    filter[field] = { $in: ids };
+  }
+
+  if (query.due) {
+    const window = dueWindow(query.due);
+    if (window === undefined) {
+      return { error: 'Invalid due filter, use overdue, today, week or none' };
+    }
+    filter.dueDate = window;
+
+    // Completed cards are never overdue
+    if (query.due === 'overdue') filter.completedAt = null;
+  }
+
+  if (query.completed === 'true' || query.completed === 'false') {
+    filter.completedAt = query.completed === 'true' ? { $ne: null } : null;
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    const range = { ...(filter.dueDate || {}) };
+    if (query.dueFrom) range.$gte = parseDate(query.dueFrom);
+    if (query.dueTo) range.$lte = parseDate(query.dueTo);
+
+    if (range.$gte === null || range.$lte === null || filter.dueDate === null) {
+      return { error: 'Invalid due date range' };
+    }
+    filter.dueDate = range;
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegExp(String(query.q).trim()), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  if (query.updatedSince) {
+    const since = parseDate(query.updatedSince);
+    if (!since) {
+      return { error: 'Invalid updatedSince date' };
+    }
+    filter.updatedAt = { $gte: since };
+  }
+
+  if (query.cf !== undefined && board) {
+    const custom = parseCustomFieldFilters(board, query.cf);
+    if (custom.error) {
+      return { error: custom.error };
+    }
+    Object.assign(filter, custom.filter);
+  }
+
+  return { filter };
+};
+
+// Resolve the sort param: a built-in field or cf.<fieldId> for a custom field
+const resolveSort = (sort, board) => {
+  if (SORT_FIELDS.includes(sort)) {
+    return { field: sort, isDate: DATE_FIELDS.includes(sort), nullable: sort === 'dueDate' };
+  }
+
+  const match = /^cf\.(.+)$/.exec(sort);
+  const customField = match && board ? findCustomField(board, match[1]) : null;
+
+  if (!customField) {
+    return { error: `Invalid sort field, use one of ${SORT_FIELDS.join(', ')} or cf.<fieldId>` };
+  }
+  if (!SORTABLE_TYPES.includes(customField.type)) {
+    return { error: `Cannot sort by ${customField.type} field ${customField.name}` };
+  }
+
+  return { field: customFieldPath(customField._id), isDate: customField.type === 'date', nullable: true };
+};
+
+// Keyset condition for "items after (value, id)" with nulls sorted first ascending, last descending
+const afterCondition = (field, direction, value, id, nullable) => {
+  const sameValueLaterId = { [field]: value, _id: { $gt: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  const beyond = { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  const conditions = [beyond, sameValueLaterId];
+
+  if (direction === -1 && nullable) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Find one page of cards with filtering, sorting and cursor pagination
+ * @param {Object} baseFilter - Scope of the listing (board or list)
+ * @param {Object} query - req.query (filters plus sort, order, limit, cursor)
+ * @param {Array} populate - Populate options applied to the results
+ * @param {Object} board - Board document, enables custom field filters and sorting (optional)
+ * @returns {Object} - { cards, total, nextCursor } or { error }
+ */
+export const findCards = async (baseFilter, query, populate = [], board = null) => {
+  const { filter, error } = parseCardFilters(query, board);
+  if (error) return { error };
+
+  const sortParam = query.sort || 'position';
+  const sort = resolveSort(sortParam, board);
+  if (sort.error) return { error: sort.error };
+
+  const sortField = sort.field;
+  const direction = query.order === 'desc' ? -1 : 1;
+
+  const conditions = [baseFilter, filter];
+
+  if (query.cursor) {
+    const after = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (!after || after.sort !== sortParam || after.order !== direction || !ObjectId.isValid(after.id)) {
+      return { error: 'Invalid cursor' };
+    }
+
+    const value = after.value !== null && sort.isDate
+      ? new Date(after.value)
+      : after.value;
+
+    conditions.push(afterCondition(sortField, direction, value, new ObjectId(after.id), sort.nullable));
+  }
+
+  const limit = parseLimit(query.limit, 50, 200);
+  let cardsQuery = Card.find({ $and: conditions }).sort({ [sortField]: direction, _id: 1 }).limit(limit + 1);
+
+  populate.forEach(option => {
+    cardsQuery = cardsQuery.populate(option);
+  });
+
+  const [results, total] = await Promise.all([
+    cardsQuery,
+    Card.countDocuments({ $and: [baseFilter, filter] })
+  ]);
+
+  const hasMore = results.length > limit;
+  const cards = results.slice(0, limit);
+  const last = cards[cards.length - 1];
+
+  return {
+    cards,
+    total,
+    nextCursor: hasMore
+      ? encodeCursor({ sort: sortParam, order: direction, value: last.get(sortField) ?? null, id: last._id })
+      : null
+  };
+};
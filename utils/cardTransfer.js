@@ -0,0 +1,175 @@
+import Comment from '../models/Comment.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Attachment from '../models/Attachment.js';
+import { getBoardRole } from './permissions.js';
+import { findLabelByName } from './labels.js';
+
+// Moving or copying cards to another board
+//
+// Labels, custom fields and members are scoped to a board, so a card's
+// references are translated onto the destination: labels are matched by name
+// (and added to the destination's catalog when missing), custom field values
+// go to the field with the same name and type (select options matched by
+// name), and people who are not members of the destination are dropped.
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const isMember = (board, user) => Boolean(user) && getBoardRole(board, user) !== null;
+
+// Translate one custom field value; undefined means it has no place on the target
+const mapFieldValue = (target, sourceField, targetField, value) => {
+  switch (sourceField.type) {
+    case 'single-select': {
+      const option = sourceField.options.id(value);
+      const match = option && targetField.options.find(o => sameName(o.name, option.name));
+      return match ? match._id : undefined;
+    }
+    case 'multi-select': {
+      const ids = (value || [])
+        .map(id => sourceField.options.id(id))
+        .filter(Boolean)
+        .map(option => targetField.options.find(o => sameName(o.name, option.name)))
+        .filter(Boolean)
+        .map(option => option._id);
+      return ids.length > 0 ? ids : undefined;
+    }
+    case 'user':
+      return isMember(target, value) ? value : undefined;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Create a mapper translating cards from one board onto another
+ * Labels created on the target are added to target.labels in memory; save the
+ * target board when `labelsCreated` is not empty.
+ * @param {Object} source - Board document the cards come from
+ * @param {Object} target - Destination board document
+ * @returns {Object} - { mapCard(card), labelsCreated, dropped: { assignees, customFields } }
+ */
+export const createCardMapper = (source, target) => {
+  const labelsCreated = [];
+  const dropped = { assignees: new Set(), customFields: new Set() };
+  const labelIds = new Map();
+
+  const mapLabel = (id) => {
+    const key = id.toString();
+    if (labelIds.has(key)) return labelIds.get(key);
+
+    const label = source.labels.id(id);
+    let mapped = null;
+    if (label) {
+      mapped = findLabelByName(target, label.name);
+      if (!mapped) {
+        target.labels.push({ name: label.name, color: label.color, description: label.description });
+        mapped = target.labels[target.labels.length - 1];
+        labelsCreated.push(mapped);
+      }
+    }
+
+    labelIds.set(key, mapped ? mapped._id : null);
+    return labelIds.get(key);
+  };
+
+  const mapCustomFields = (values) => {
+    const mapped = {};
+
+    for (const [id, value] of values || []) {
+      const sourceField = source.customFields.id(id);
+      if (!sourceField) continue;
+
+      const targetField = target.customFields.find(field => (
+        field.type === sourceField.type && sameName(field.name, sourceField.name)
+      ));
+      const targetValue = targetField && mapFieldValue(target, sourceField, targetField, value);
+
+      if (targetValue === undefined) {
+        dropped.customFields.add(sourceField.name);
+      } else {
+        mapped[targetField._id.toString()] = targetValue;
+      }
+    }
+
+    return mapped;
+  };
+
+  const keepMembers = (users) => users.filter((user) => {
+    if (isMember(target, user)) return true;
+    dropped.assignees.add(user.toString());
+    return false;
+  });
+
+  // Board-scoped fields of a card, translated for the target board
+  const mapCard = (card) => ({
+    labels: [...new Set(card.labels.map(mapLabel).filter(Boolean).map(String))],
+    assignedTo: keepMembers(card.assignedTo.map(user => user._id || user)),
+    customFields: mapCustomFields(card.customFields),
+    checklists: card.checklists.map(checklist => ({
+      ...checklist.toObject(),
+      items: checklist.items.map(item => ({
+        ...item.toObject(),
+        assignee: isMember(target, item.assignee) ? item.assignee : null
+      }))
+    }))
+  });
+
+  return { mapCard, labelsCreated, dropped };
+};
+
+/**
+ * Summary of what a transfer could not carry over
+ * @param {Object} mapper - Output of createCardMapper
+ * @returns {Object} - { labelsCreated, assignees, customFields }
+ */
+export const summarizeTransfer = ({ labelsCreated, dropped }) => ({
+  labelsCreated: labelsCreated.map(label => label.name),
+  assignees: [...dropped.assignees],
+  customFields: [...dropped.customFields]
+});
+
+/**
+ * Re-key the comments, time entries and attachments of moved cards to their new board
+ * @param {Array} cardIds - Cards that moved
+ * @param {ObjectId} boardId - Destination board
+ * @param {ClientSession|null} session - Optional transaction session
+ */
+export const moveCardRecords = async (cardIds, boardId, session = null) => {
+  const filter = { card: { $in: cardIds } };
+  await Comment.updateMany(filter, { board: boardId }, { session });
+  await TimeEntry.updateMany(filter, { board: boardId }, { session });
+  await Attachment.updateMany(filter, { board: boardId }, { session });
+};
+
+/**
+ * Fields for a copy of a card on a board
+ * Completion, comments, attachments and time entries are not copied, and
+ * checklist items start unchecked.
+ * @param {Object} card - Card document to copy
+ * @param {Object} mapper - Output of createCardMapper for the destination
+ * @returns {Object} - Card fields without list, board, position or createdBy
+ */
+export const copyCardFields = (card, { mapCard }) => {
+  const { labels, assignedTo, customFields, checklists } = mapCard(card);
+
+  return {
+    title: card.title,
+    description: card.description,
+    startDate: card.startDate,
+    dueDate: card.dueDate,
+    estimate: card.estimate,
+    labels,
+    assignedTo,
+    customFields,
+    checklists: checklists.map(checklist => ({
+      title: checklist.title,
+      position: checklist.position,
+      items: checklist.items.map(item => ({
+        text: item.text,
+        position: item.position,
+        assignee: item.assignee,
+        dueDate: item.dueDate
+      }))
+    }))
+  };
+};
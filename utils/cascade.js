@@ -0,0 +1,88 @@
+import Board from '../models/Board.js';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import Comment from '../models/Comment.js';
+import Invite from '../models/Invite.js';
+import Activity from '../models/Activity.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Attachment from '../models/Attachment.js';
+import CardTemplate from '../models/CardTemplate.js';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import JournalEntry from '../models/JournalEntry.js';
+import { removeStoredFiles } from './storage.js';
+
+// Permanent deletes that also remove everything hanging off the deleted documents.
+// Each helper takes an optional session so callers can group them in a transaction.
+
+/**
+ * Delete cards matching a filter along with their comments, time entries and attachments
+ * @param {Object} filter - Card query
+ * @param {ClientSession|null} session - Optional transaction session
+ * @param {Object} options - { keepFiles }: leave attachment files in storage (the undo journal holds them)
+ * @returns {number} - Number of cards deleted
+ */
+export const deleteCards = async (filter, session = null, { keepFiles = false } = {}) => {
+  const cards = await Card.find(filter, '_id').session(session);
+  const cardIds = cards.map(card => card._id);
+
+  if (cardIds.length === 0) return 0;
+
+  await Comment.deleteMany({ card: { $in: cardIds } }, { session });
+  await TimeEntry.deleteMany({ card: { $in: cardIds } }, { session });
+
+  const attachments = await Attachment.find({ card: { $in: cardIds } }, '+driver +storageKey').session(session);
+  await Attachment.deleteMany({ card: { $in: cardIds } }, { session });
+
+  await Card.deleteMany({ _id: { $in: cardIds } }, { session });
+
+  // Stored bytes are outside the transaction; removal is best effort
+  if (!keepFiles) removeStoredFiles(attachments);
+
+  return cardIds.length;
+};
+
+/**
+ * Delete lists matching a filter along with their cards
+ * @param {Object} filter - List query
+ * @param {ClientSession|null} session - Optional transaction session
+ * @param {Object} options - Passed on to deleteCards
+ * @returns {Object} - { lists, cards } deleted counts
+ */
+export const deleteLists = async (filter, session = null, options = {}) => {
+  const lists = await List.find(filter, '_id').session(session);
+  const listIds = lists.map(list => list._id);
+
+  if (listIds.length === 0) return { lists: 0, cards: 0 };
+
+  const cards = await deleteCards({ list: { $in: listIds } }, session, options);
+  await RecurrenceRule.deleteMany({ list: { $in: listIds } }, { session });
+  await List.deleteMany({ _id: { $in: listIds } }, { session });
+
+  return { lists: listIds.length, cards };
+};
+
+/**
+ * Delete a board and everything keyed by it
+ * @param {ObjectId} boardId - Board to delete
+ * @param {ClientSession|null} session - Optional transaction session
+ */
+export const deleteBoardTree = async (boardId, session = null) => {
+  const { lists, cards } = await deleteLists({ board: boardId }, session);
+
+  // Catch cards whose list was already gone
+  const strayCards = await deleteCards({ board: boardId }, session);
+
+  await Invite.deleteMany({ board: boardId }, { session });
+  await RecurrenceRule.deleteMany({ board: boardId }, { session });
+  await CardTemplate.deleteMany({ board: boardId }, { session });
+  await Activity.deleteMany({ board: boardId }, { session });
+
+  const entries = await JournalEntry.find({ board: boardId }).session(session);
+  await JournalEntry.deleteMany({ board: boardId }, { session });
+
+  await Board.deleteOne({ _id: boardId }, { session });
+
+  removeStoredFiles(entries.flatMap(entry => entry.heldFiles()));
+
+  return { lists, cards: cards + strayCards };
+};
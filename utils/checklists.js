@@ -0,0 +1,41 @@
+// Helpers for card checklists
+
+/**
+ * Count finished and total checklist items on a card
+ * @param {Object} card - Card with checklists
+ * @returns {Object} - { done, total }
+ */
+export const getChecklistProgress = (card) => {
+  const items = (card.checklists || []).flatMap(checklist => checklist.items);
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+};
+
+/**
+ * Position for a new element appended after the existing ones
+ * @param {Array} docs - Checklists or items
+ * @returns {number}
+ */
+export const nextPosition = (docs) => {
+  return docs.length > 0 ? Math.max(...docs.map(doc => doc.position)) + 1 : 0;
+};
+
+/**
+ * Apply new positions and keep the array sorted by position
+ * @param {MongooseDocumentArray} docs - Checklists or items
+ * @param {Array} orders - [{ id, position }]
+ * @returns {string|null} - Error message if an id is not in the array
+ */
+export const applyOrder = (docs, orders) => {
+  for (const { id, position } of orders) {
+    const doc = docs.id(id);
+    if (!doc) return `Unknown id ${id}`;
+    if (typeof position !== 'number') return 'Positions must be numbers';
+    doc.position = position;
+  }
+
+  docs.sort((a, b) => a.position - b.position);
+  return null;
+};
@@ -0,0 +1,98 @@
+import { snapshot } from './activity.js';
+
+// Optimistic concurrency for board, list and card updates
+//
+// A document's version is its `__v`, which the board, list and card update
+// endpoints increment. Responses carry it as an ETag ("<version>-<updatedAt>", so
+// conditional GETs also see moves and other changes that keep the version),
+// and updates accept it back in `If-Match` or a `version` body field. When the
+// document was updated in between, the update is rejected with 409 and the
+// current state instead of overwriting someone else's edit.
+
+const ETAG_PATTERN = /^(?:W\/)?"(\d+)(?:-\d+)?"$/;
+
+const versionOf = (doc) => doc.__v ?? 0;
+
+/**
+ * ETag for a board, list or card
+ * @param {Object} doc - Mongoose document
+ * @returns {string}
+ */
+export const etagFor = (doc) => `"${versionOf(doc)}-${doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0}"`;
+
+/**
+ * Set the ETag header for a document about to be sent
+ * @param {Object} res - Express response
+ * @param {Object} doc - Mongoose document
+ */
+export const setETag = (res, doc) => {
+  res.set('ETag', etagFor(doc));
+};
+
+/**
+ * Read the version an update expects from If-Match or the `version` body field
+ * @param {Object} req - Express request
+ * @returns {Object} - { version } (undefined when the client sent none, or If-Match: *) or { error }
+ */
+export const parseExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+
+  if (header !== undefined) {
+    const value = header.trim();
+    if (value === '*') return { version: undefined };
+
+    const match = ETAG_PATTERN.exec(value);
+    return match
+      ? { version: Number(match[1]) }
+      : { error: 'If-Match must be an ETag from a previous response' };
+  }
+
+  const { version } = req.body || {};
+  if (version === undefined || version === null) return { version: undefined };
+  return Number.isInteger(version) && version >= 0
+    ? { version }
+    : { error: 'version must be a non-negative integer' };
+};
+
+/**
+ * Save an update unless the document changed since it was loaded
+ * Increments the version; a concurrent update that got there first fails the save.
+ * @param {Object} doc - Modified document
+ * @param {number|undefined} expected - Version the client based its update on
+ * @returns {boolean} - false on a version conflict (nothing was saved)
+ */
+export const saveIfVersion = async (doc, expected) => {
+  if (expected !== undefined && expected !== versionOf(doc)) return false;
+
+  doc.increment();
+  try {
+    await doc.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') return false;
+    throw error;
+  }
+};
+
+/**
+ * Reject a stale update with 409, the current state and a per-field diff
+ * @param {Object} res - Express response
+ * @param {Object} options - { entity, current, fields, requested, serialize }
+ *   current: the document as now stored (unpopulated); requested: { field: value }
+ *   the rejected update would have set; serialize: async (doc) => response body
+ */
+export const sendVersionConflict = async (res, { entity, current, fields, requested, serialize }) => {
+  const stored = snapshot(current, fields);
+  const conflicts = Object.fromEntries(Object.keys(requested).map(field => [
+    field,
+    { yours: requested[field], current: stored[field] }
+  ]));
+
+  setETag(res, current);
+  res.status(409).json({
+    message: `The ${entity} was changed by someone else; review the current version and try again`,
+    version: versionOf(current),
+    current: await serialize(current),
+    conflicts
+  });
+};
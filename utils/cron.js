@@ -0,0 +1,124 @@
+// Minimal five-field cron expressions, evaluated in UTC
+//
+//   minute hour day-of-month month day-of-week
+//
+// Each field accepts `*`, numbers, ranges (1-5), lists (1,3,5) and steps
+// (*/15, 0-30/10). Day of week is 0-7 with both 0 and 7 meaning Sunday. As in
+// classic cron, when both day fields are restricted a day matching either runs.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this long (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const parseNumber = (text) => (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText);
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(parseNumber);
+    } else {
+      start = parseNumber(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} field "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 1"
+ * @returns {Object} - Parsed schedule, or { error }
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    return { error: 'Cron expressions need five fields: minute hour day-of-month month day-of-week' };
+  }
+
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // 7 is another name for Sunday
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      anyDay: parts[2] === '*',
+      anyWeekday: parts[4] === '*'
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const dayMatches = (cron, date) => {
+  const dayOfMonth = cron.days.has(date.getUTCDate());
+  const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dayOfWeek;
+  if (cron.anyWeekday) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Next time a parsed cron schedule fires, strictly after a given time
+ * @param {Object} cron - Output of parseCron
+ * @param {Date} after - Reference time
+ * @returns {Date|null} - Next run, or null if none within five years
+ */
+export const nextCronRun = (cron, after = new Date()) => {
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + SEARCH_LIMIT;
+
+  // Skip whole months, days and hours that can't match before checking minutes
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
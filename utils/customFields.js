@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { getBoardRole } from './permissions.js';
+
+const { ObjectId } = mongoose.Types;
+
+const SELECT_TYPES = ['single-select', 'multi-select'];
+
+// Types with a single scalar value, which can be used to sort cards
+export const SORTABLE_TYPES = ['text', 'number', 'date', 'checkbox'];
+
+const TEXT_MAX_LENGTH = 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseNumber = (value) => {
+  const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Path of a custom field's value on a card document
+ * @param {string|ObjectId} fieldId - Field definition id
+ * @returns {string}
+ */
+export const customFieldPath = (fieldId) => `customFields.${fieldId}`;
+
+/**
+ * Whether a field type has a list of options
+ * @param {string} type - Field type
+ * @returns {boolean}
+ */
+export const hasOptions = (type) => SELECT_TYPES.includes(type);
+
+/**
+ * Find a board's custom field definition by id
+ * @param {Object} board - Board document
+ * @param {string} id - Field id
+ * @returns {Object|null}
+ */
+export const findCustomField = (board, id) => (
+  ObjectId.isValid(id) ? board.customFields.id(id) : null
+);
+
+// Cast one value to what is stored for its field type
+const castValue = (board, field, value) => {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (value.length > TEXT_MAX_LENGTH) return { error: `must be at most ${TEXT_MAX_LENGTH} characters` };
+      return { value: value.trim() };
+    case 'number': {
+      const number = parseNumber(value);
+      return number === null ? { error: 'must be a number' } : { value: number };
+    }
+    case 'date': {
+      const date = parseDate(value);
+      return date ? { value: date } : { error: 'must be a valid date' };
+    }
+    case 'checkbox':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'single-select':
+      return field.options.id(ObjectId.isValid(value) ? value : null)
+        ? { value: new ObjectId(value) }
+        : { error: 'must be one of the field options' };
+    case 'multi-select': {
+      if (!Array.isArray(value)) return { error: 'must be an array of option ids' };
+      const ids = [...new Set(value.map(String))];
+      if (!ids.every(id => ObjectId.isValid(id) && field.options.id(id))) {
+        return { error: 'must only contain field options' };
+      }
+      return { value: ids.map(id => new ObjectId(id)) };
+    }
+    case 'user':
+      return ObjectId.isValid(value) && getBoardRole(board, value) !== null
+        ? { value: new ObjectId(value) }
+        : { error: 'must be a member of the board' };
+    default:
+      return { error: 'has an unknown type' };
+  }
+};
+
+/**
+ * Validate custom field values from a request against the board's definitions
+ * @param {Object} board - Board document
+ * @param {Object} input - { [fieldId]: value }, null (or '' / []) clears a value
+ * @returns {Object} - { values } with cast values (null to clear), or { error }
+ */
+export const resolveCustomFieldValues = (board, input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'customFields must be an object keyed by field id' };
+  }
+
+  const values = {};
+
+  for (const [id, raw] of Object.entries(input)) {
+    const field = findCustomField(board, id);
+    if (!field) {
+      return { error: `Unknown custom field: ${id}` };
+    }
+
+    if (raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0)) {
+      values[id] = null;
+      continue;
+    }
+
+    const result = castValue(board, field, raw);
+    if (result.error) {
+      return { error: `${field.name} ${result.error}` };
+    }
+    values[id] = result.value;
+  }
+
+  return { values };
+};
+
+/**
+ * Apply resolved custom field values to a card
+ * @param {Object} card - Card document
+ * @param {Object} values - Output of resolveCustomFieldValues
+ */
+export const applyCustomFieldValues = (card, values) => {
+  Object.entries(values).forEach(([id, value]) => {
+    if (value === null) {
+      card.customFields.delete(id);
+    } else {
+      card.customFields.set(id, value);
+    }
+  });
+};
+
+// Query condition for one field filter
+const fieldCondition = (field, spec) => {
+  if (spec === 'none') return { value: null };
+
+  switch (field.type) {
+    case 'text':
+      return typeof spec === 'string'
+        ? { value: new RegExp(escapeRegExp(spec.trim()), 'i') }
+        : { error: 'expects text' };
+    case 'number':
+    case 'date': {
+      const parse = field.type === 'number' ? parseNumber : parseDate;
+
+      // A single value, or a range with gte and/or lte
+      if (typeof spec === 'string') {
+        const value = parse(spec);
+        return value === null ? { error: `expects a ${field.type}` } : { value };
+      }
+
+      const range = {};
+      for (const op of ['gte', 'lte']) {
+        if (spec[op] === undefined) continue;
+        const value = parse(spec[op]);
+        if (value === null) return { error: `expects a ${field.type} for ${op}` };
+        range[`$${op}`] = value;
+      }
+      return Object.keys(range).length > 0 ? { value: range } : { error: 'expects a value, gte or lte' };
+    }
+    case 'checkbox':
+      if (spec === 'true') return { value: true };
+      if (spec === 'false') return { value: { $ne: true } };
+      return { error: 'expects true or false' };
+    default: {
+      // Select and user fields match any of a comma-separated list of ids
+      if (typeof spec !== 'string') return { error: 'expects comma-separated ids' };
+      const ids = spec.split(',').filter(Boolean);
+      if (ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+        return { error: 'expects comma-separated ids' };
+      }
+      return { value: { $in: ids.map(id => new ObjectId(id)) } };
+    }
+  }
+};
+
+/**
+ * Build a card filter from custom field query params, e.g.
+ * cf[<fieldId>]=value, cf[<fieldId>][gte]=3&cf[<fieldId>][lte]=8, cf[<fieldId>]=none
+ * @param {Object} board - Board document
+ * @param {Object} params - Parsed `cf` query param
+ * @returns {Object} - { filter } or { error }
+ */
+export const parseCustomFieldFilters = (board, params) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'Custom field filters must look like cf[<fieldId>]=value' };
+  }
+
+  const filter = {};
+
+  for (const [id, spec] of Object.entries(params)) {
+    const field = findCustomField(board, id);
+    if (!field) {
+      return { error: `Unknown custom field: ${id}` };
+    }
+
+    const { value, error } = fieldCondition(field, spec);
+    if (error) {
+      return { error: `Custom field ${field.name} ${error}` };
+    }
+    filter[customFieldPath(field._id)] = value;
+  }
+
+  return { filter };
+};
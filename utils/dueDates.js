@@ -0,0 +1,162 @@
+import Card from '../models/Card.js';
+import { defineJob, scheduleJob, cancelJobs } from './scheduler.js';
+import { notify } from './notifications.js';
+import { emitBoardEvent } from './realtime.js';
+
+// Due-date reminders and overdue detection
+//
+// Each card with a due date gets one `dueReminder` job per offset in
+// DUE_REMINDER_OFFSETS (default "24h,1h"). A recurring `overdueSweep` job flags
+// cards whose due date has passed and notifies their assignees.
+
+const OVERDUE_SWEEP_INTERVAL = 5 * 60 * 1000;
+const OVERDUE_BATCH_SIZE = 200;
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UNIT_NAMES = { d: 'day', h: 'hour', m: 'minute' };
+
+/**
+ * Parse a duration such as "30m", "1h" or "2d"
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds, or null if invalid
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+  return match ? parseInt(match[1], 10) * UNITS[match[2].toLowerCase()] : null;
+};
+
+/**
+ * Format milliseconds as the largest whole unit, e.g. "24 hours"
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const unit = ['d', 'h', 'm'].find(u => ms % UNITS[u] === 0) || 'm';
+  const amount = Math.round(ms / UNITS[unit]);
+  return `${amount} ${UNIT_NAMES[unit]}${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Reminder offsets before the due date, largest first
+ * @returns {Array<number>} - Milliseconds
+ */
+export const getReminderOffsets = () => {
+  const offsets = (process.env.DUE_REMINDER_OFFSETS || '24h,1h')
+    .split(',')
+    .map(parseDuration)
+    .filter(Boolean);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Classify a card by its due date
+ * @param {Object} card - Card with dueDate and completedAt
+ * @param {Date} now - Reference time
+ * @returns {string} - none | completed | overdue | dueSoon | upcoming
+ */
+export const getDueStatus = (card, now = new Date()) => {
+  if (card.completedAt) return 'completed';
+  if (!card.dueDate) return 'none';
+
+  const due = new Date(card.dueDate).getTime();
+  if (due < now.getTime()) return 'overdue';
+
+  const [window = UNITS.d] = getReminderOffsets();
+  return due - now.getTime() <= window ? 'dueSoon' : 'upcoming';
+};
+
+/**
+ * (Re)schedule the reminders for a card after its due date or state changed
+ * @param {Document} card - Card
+ */
+export const scheduleCardReminders = async (card) => {
+  await cancelJobs({ name: 'dueReminder', 'data.card': card._id });
+
+  if (!card.dueDate || card.completedAt || card.archivedAt) return;
+
+  const due = new Date(card.dueDate).getTime();
+  const now = Date.now();
+
+  await Promise.all(getReminderOffsets()
+    .filter(offset => due - offset > now)
+    .map(offset => scheduleJob(
+      'dueReminder',
+      new Date(due - offset),
+      { card: card._id, dueDate: card.dueDate, offset },
+      { key: `dueReminder:${card._id}:${due}:${offset}` }
+    )));
+};
+
+// Assignees, or the creator when nobody is assigned
+const cardRecipients = (card) => (card.assignedTo.length > 0 ? card.assignedTo : [card.createdBy]);
+
+const sendDueReminder = async ({ card: cardId, dueDate, offset }) => {
+  const card = await Card.findById(cardId).populate('board', 'title');
+
+  // Skip cards that were deleted, finished, archived or rescheduled since
+  if (!card || !card.board || card.completedAt || card.archivedAt || !card.dueDate) return;
+  if (new Date(card.dueDate).getTime() !== new Date(dueDate).getTime()) return;
+
+  await notify({
+    type: 'dueSoon',
+    recipients: cardRecipients(card),
+    board: card.board,
+    card,
+    message: `"${card.title}" is due in ${formatDuration(offset)}`,
+    data: { dueDate: card.dueDate, offset }
+  });
+};
+
+/**
+ * Flag cards whose due date has passed and notify their assignees
+ * @returns {number} - Number of cards flagged
+ */
+export const flagOverdueCards = async () => {
+  const now = new Date();
+
+  const cards = await Card.find({
+    dueDate: { $lt: now },
+    completedAt: null,
+    archivedAt: null,
+    overdueAt: null
+  })
+  .populate('board', 'title')
+  .limit(OVERDUE_BATCH_SIZE);
+
+  let flagged = 0;
+  for (const card of cards) {
+    // Claim the card first so overlapping sweeps never flag it twice
+    const { modifiedCount } = await Card.updateOne(
+      { _id: card._id, overdueAt: null },
+      { overdueAt: now }
+    );
+    if (modifiedCount === 0 || !card.board) continue;
+    flagged += 1;
+
+    emitBoardEvent(card.board._id, 'card.overdue', { _id: card._id, dueDate: card.dueDate, overdueAt: now });
+    await notify({
+      type: 'overdue',
+      recipients: cardRecipients(card),
+      board: card.board,
+      card,
+      message: `"${card.title}" is overdue`,
+      data: { dueDate: card.dueDate }
+    });
+  }
+
+  return flagged;
+};
+
+/**
+ * Register the due-date job handlers and the recurring overdue sweep
+ */
+export const registerDueDateJobs = async () => {
+  defineJob('dueReminder', sendDueReminder);
+  defineJob('overdueSweep', flagOverdueCards);
+
+  await scheduleJob('overdueSweep', new Date(), {}, {
+    key: 'overdueSweep',
+    repeatEvery: OVERDUE_SWEEP_INTERVAL
+  });
+};
@@ -108,7 +108,8 @@ export const getCardInsights = async (card, boardCards = [], boardLists = []) =>
       aiPowered: true,
       dueDateSuggestion: aiSuggestions.dueDateSuggestion,
       listMovement: aiSuggestions.listMovement,
-      insights: aiSuggestions.insights
+      insights: aiSuggestions.insights,
+      actionableSteps: aiSuggestions.actionableSteps || []
     };
   } catch (error) {
     console.error('Failed to get AI insights:', error);
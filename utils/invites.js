@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import Board from '../models/Board.js';
+import Invite from '../models/Invite.js';
+import { normalizeRole } from './permissions.js';
+import { emitBoardEvent } from './realtime.js';
+import { logActivity } from './activity.js';
+
+// Invites are valid for 7 days
+export const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Generate a fresh invite token and expiry date
+ * @returns {Object} - { token, expiresAt }
+ */
+export const createInviteToken = () => ({
+  token: crypto.randomBytes(32).toString('hex'),
+  expiresAt: new Date(Date.now() + INVITE_TTL)
+});
+
+/**
+ * Add the invited user to the invite's board and mark the invite accepted
+ * @param {Document} invite - Pending invite
+ * @param {Object} user - User accepting the invite
+ * @returns {Object} - { board, joined }; joined is false if the user was already a member
+ */
+export const joinBoardFromInvite = async (invite, user) => {
+  const board = await Board.findById(invite.board._id || invite.board);
+
+  if (!board) {
+    invite.status = 'expired';
+    await invite.save();
+    return { board: null, joined: false };
+  }
+
+  const existingMember = board.members.find(
+    m => m.user.toString() === user._id.toString()
+  );
+
+  if (!existingMember) {
+    board.members.push({
+      user: user._id,
+      role: normalizeRole(invite.role)
+    });
+    await board.save();
+  }
+
+  invite.status = 'accepted';
+  await invite.save();
+
+  if (existingMember) {
+    return { board, joined: false };
+  }
+
+  emitBoardEvent(board._id, 'member.added', { user: user._id, role: normalizeRole(invite.role) }, user._id);
+  await logActivity({
+    board: board._id,
+    actor: user._id,
+    action: 'invite.accepted',
+    entityType: 'member',
+    entity: user._id,
+    before: { invite: invite._id, status: 'pending' },
+    after: { user: user._id, role: invite.role, status: 'accepted' }
+  });
+
+  return { board, joined: true };
+};
+
+/**
+ * Mark every pending invite past its expiry date as expired
+ * @returns {number} - Number of invites expired
+ */
+export const expireInvites = async () => {
+  const { modifiedCount } = await Invite.updateMany(
+    { status: 'pending', expiresAt: { $lt: new Date() } },
+    { status: 'expired' }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Periodically expire stale invites in the background
+ * @param {number} interval - Milliseconds between sweeps
+ */
+export const startInviteSweep = (interval = SWEEP_INTERVAL) => {
+  const sweep = () => expireInvites().catch(error => console.error('Invite sweep failed:', error));
+
+  sweep();
+  sweepTimer = setInterval(sweep, interval);
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the background invite sweep (used on shutdown)
+ */
+export const stopInviteSweep = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
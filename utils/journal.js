@@ -0,0 +1,485 @@
+import Board from '../models/Board.js';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import Comment from '../models/Comment.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Attachment from '../models/Attachment.js';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import JournalEntry from '../models/JournalEntry.js';
+import { snapshot, diffSnapshots } from './activity.js';
+import { claimOrder } from './ordering.js';
+import { deleteCards, deleteLists } from './cascade.js';
+import { moveCardRecords } from './cardTransfer.js';
+import { removeStoredFiles } from './storage.js';
+import { withTransaction } from './transaction.js';
+import { can, checkBoardAccess } from './permissions.js';
+
+// Undo/redo journal
+//
+// Each undoable change records an entry for the user who made it, with the
+// steps that changed the board: 'set' steps hold the before and after values
+// of the fields that changed, 'delete' steps a copy of the deleted documents and
+// everything deleted with them, and 'create' steps a copy of created documents
+// (a create is undone like a delete is redone, and the other way round). Undo
+// applies an entry's steps backwards and redo forwards. Every step first checks
+// that its document still holds the values the journal left it with; when
+// someone changed them since, applying the entry would overwrite their work, so
+// it is dropped from the history instead.
+//
+// Deletes made through the journal leave attachment files in storage while
+// they can be undone; the files are removed once the entry leaves the history.
+
+// Entries kept on each user's undo stack per board
+export const MAX_HISTORY = 50;
+
+const MODELS = { Board, List, Card, RecurrenceRule, Comment, TimeEntry, Attachment };
+
+// Deleted records are restored parents first
+const RESTORE_ORDER = ['List', 'RecurrenceRule', 'Card', 'Comment', 'TimeEntry', 'Attachment'];
+
+// Fields a set step may change
+const UNDOABLE_FIELDS = {
+  Board: ['title', 'background'],
+  List: ['title', 'board', 'position', 'archivedAt'],
+  Card: ['title', 'description', 'startDate', 'dueDate', 'estimate', 'labels', 'assignedTo', 'completedAt', 'completedBy', 'customFields', 'checklists', 'board', 'list', 'position', 'archivedAt']
+};
+
+// Renumbering changes positions without changing the order, so they are not compared
+const UNCHECKED_FIELDS = ['position'];
+
+// Fields that move a document rather than edit it (edits bump its version)
+const MOVE_FIELDS = ['board', 'list', 'position'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const entityTypeOf = (model) => model.toLowerCase();
+
+/**
+ * Snapshot the undoable fields of a board, list or card before changing it
+ * Take it before populating the document.
+ * @param {Document} doc - Board, List or Card
+ * @returns {Object} - Snapshot to pass to changeStep
+ */
+export const captureState = (doc) => snapshot(doc, UNDOABLE_FIELDS[doc.constructor.modelName]);
+
+/**
+ * Step recording the fields a change updated
+ * @param {Document} doc - The changed board, list or card
+ * @param {Object} before - Output of captureState taken before the change
+ * @returns {Object|null} - Step, or null when nothing changed
+ */
+export const changeStep = (doc, before) => {
+  const changes = diffSnapshots(before, snapshot(doc, Object.keys(before)));
+  if (Object.keys(changes.after).length === 0) return null;
+
+  return { type: 'set', model: doc.constructor.modelName, id: doc._id, ...changes };
+};
+
+/**
+ * Steps recording a reorder of cards in a list or lists on a board
+ * @param {Array} docs - The reordered cards or lists, loaded before the reorder
+ * @param {Array} orders - [{ id, position }] as validated by resolveReorder
+ * @returns {Array} - One set step per item that changed position
+ */
+export const reorderSteps = (docs, orders) => {
+  const positions = new Map(orders.map(({ id, position }) => [String(id), position]));
+
+  return docs
+    .filter(doc => positions.get(doc._id.toString()) !== doc.position)
+    .map((doc) => {
+      const model = doc.constructor.modelName;
+      // The container is kept so undo notices items moved elsewhere since
+      const scope = model === 'Card' ? { list: doc.list.toString() } : { board: doc.board.toString() };
+
+      return {
+        type: 'set',
+        model,
+        id: doc._id,
+        before: { ...scope, position: doc.position },
+        after: { ...scope, position: positions.get(doc._id.toString()) }
+      };
+    });
+};
+
+// Plain copies of cards and everything deleted with them
+const captureCards = async (filter, session) => {
+  const cards = await Card.find(filter).session(session).lean();
+  const related = { card: { $in: cards.map(card => card._id) } };
+
+  return {
+    Card: cards,
+    Comment: await Comment.find(related).session(session).lean(),
+    TimeEntry: await TimeEntry.find(related).session(session).lean(),
+    Attachment: await Attachment.find(related, '+driver +storageKey').session(session).lean()
+  };
+};
+
+const captureList = async (listId, session) => ({
+  List: await List.find({ _id: listId }).session(session).lean(),
+  RecurrenceRule: await RecurrenceRule.find({ list: listId }).session(session).lean(),
+  ...(await captureCards({ list: listId }, session))
+});
+
+/**
+ * Step recording a list (with its cards) or a card that was just created
+ * @param {string} model - 'List' or 'Card'
+ * @param {ObjectId} id - Created document
+ * @param {ClientSession|null} session - Optional transaction session
+ * @returns {Object} - Step
+ */
+export const createStep = async (model, id, session = null) => ({
+  type: 'create',
+  model,
+  id,
+  records: model === 'List' ? await captureList(id, session) : await captureCards({ _id: id }, session)
+});
+
+/**
+ * Delete a list (with its cards) or a card, keeping what is needed to undo it
+ * @param {string} model - 'List' or 'Card'
+ * @param {ObjectId} id - Document to delete
+ * @param {ClientSession|null} session - Optional transaction session
+ * @returns {Object} - { step, cards } where cards is the number of cards deleted
+ */
+export const deleteWithHistory = async (model, id, session = null) => {
+  const options = { keepFiles: true };
+  const records = model === 'List' ? await captureList(id, session) : await captureCards({ _id: id }, session);
+  const cards = model === 'List'
+    ? (await deleteLists({ _id: id }, session, options)).cards
+    : await deleteCards({ _id: id }, session, options);
+
+  return { step: { type: 'delete', model, id, records }, cards };
+};
+
+// Drop entries from the history, removing the files their deletes were holding
+const discardEntries = async (entries) => {
+  await JournalEntry.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+  removeStoredFiles(entries.flatMap(entry => entry.heldFiles()));
+};
+
+/**
+ * Add a change to the user's undo history on its board
+ * Never throws: a change that could not be recorded just can't be undone.
+ * @param {Object} change - { board, user, action, entityType, entity, permission, steps }
+ */
+export const recordChange = async ({ board, user, action, entityType, entity, permission, steps }) => {
+  const recorded = steps.filter(Boolean);
+  if (recorded.length === 0) return;
+
+  const entry = new JournalEntry({ board, user, action, entityType, entity, permission, steps: recorded });
+
+  try {
+    // A new change replaces whatever could still be redone
+    const redoable = await JournalEntry.find({ board, user, undone: true });
+    if (redoable.length > 0) await discardEntries(redoable);
+    await entry.save();
+
+    const stale = await JournalEntry.find({ board, user, undone: false })
+      .sort({ stackedAt: -1 })
+      .skip(MAX_HISTORY);
+    if (stale.length > 0) await discardEntries(stale);
+  } catch (error) {
+    console.error('Failed to record undo history:', error);
+    // Nothing can undo the delete, so its files are not needed
+    if (entry.isNew) removeStoredFiles(entry.heldFiles());
+  }
+};
+
+// Check a set step can take its document from one side to the other
+const checkSet = async (step, forward, session) => {
+  const expected = forward ? step.before : step.after;
+  const target = forward ? step.after : step.before;
+  const entityType = entityTypeOf(step.model);
+
+  const doc = await MODELS[step.model].findById(step.id).session(session);
+  if (!doc) {
+    return { conflicts: [{ entityType, entity: step.id, message: `The ${entityType} was deleted` }] };
+  }
+
+  const current = snapshot(doc, Object.keys(expected));
+  const changed = Object.keys(expected)
+    .filter(field => !UNCHECKED_FIELDS.includes(field) && !same(current[field], expected[field]));
+  if (changed.length > 0) {
+    return {
+      conflicts: [{
+        entityType,
+        entity: step.id,
+        message: `The ${entityType} was changed since`,
+        fields: Object.fromEntries(changed.map(field => [field, { expected: expected[field], current: current[field] }]))
+      }]
+    };
+  }
+
+  // An active card can only go back into an active list of its board
+  const active = target.archivedAt !== undefined ? !target.archivedAt : !doc.archivedAt;
+  if (step.model === 'Card' && active && (target.list !== undefined || target.archivedAt !== undefined)) {
+    const list = await List.findOne({ _id: target.list || doc.list, board: target.board || doc.board }).session(session);
+    if (!list || list.archivedAt) {
+      return { conflicts: [{ entityType, entity: step.id, message: 'The card\'s list was deleted or archived' }] };
+    }
+  }
+
+  return { doc };
+};
+
+const rootRecord = (step) => step.records[step.model].find(record => record._id.toString() === step.id.toString());
+
+// A list's updatedAt also moves when its card order is claimed, so lists compare their fields
+const changedSince = (doc, record) => {
+  if (doc.constructor.modelName !== 'List') {
+    return new Date(doc.updatedAt).getTime() !== new Date(record.updatedAt).getTime();
+  }
+  const fields = UNDOABLE_FIELDS.List.filter(field => !UNCHECKED_FIELDS.includes(field));
+  return !same(snapshot(doc, fields), snapshot(record, fields));
+};
+
+// A delete step removes its documents when redone, a create step when undone
+const removes = (step, redo) => (step.type === 'delete' ? redo : !redo);
+
+// Check a delete or create step can restore its documents or remove them (again)
+const checkDelete = async (step, forward, session) => {
+  const entityType = entityTypeOf(step.model);
+  const doc = await MODELS[step.model].findById(step.id).session(session);
+  const root = rootRecord(step);
+
+  if (forward) {
+    if (!doc) {
+      return { conflicts: [{ entityType, entity: step.id, message: `The ${entityType} was deleted` }] };
+    }
+    if (changedSince(doc, root)) {
+      return { conflicts: [{ entityType, entity: step.id, message: `The ${entityType} was changed since` }] };
+    }
+    return { doc };
+  }
+
+  if (doc) {
+    return { conflicts: [{ entityType, entity: step.id, message: `The ${entityType} already exists` }] };
+  }
+  if (step.model === 'Card') {
+    const list = await List.findOne({ _id: root.list, board: root.board }).session(session);
+    if (!list || (list.archivedAt && !root.archivedAt)) {
+      return { conflicts: [{ entityType, entity: step.id, message: 'The card\'s list was deleted or archived' }] };
+    }
+  }
+  return {};
+};
+
+// Real-time events for a document changed by a set step; events for another
+// board than the entry's carry that board
+const setEvents = (model, doc, from, to) => {
+  if (to.board !== undefined) {
+    // Cards moved with their list have no events of their own
+    if (model === 'Card' && to.list === undefined) return [];
+    const type = entityTypeOf(model);
+    const movedOut = model === 'Card'
+      ? { _id: doc._id, list: from.list, board: doc.board }
+      : { _id: doc._id, board: doc.board };
+    return [
+      { board: from.board, type: `${type}.movedOut`, data: movedOut },
+      { board: doc.board, type: `${type}.movedIn`, data: doc }
+    ];
+  }
+  if (model === 'Card') {
+    if (to.list !== undefined || to.position !== undefined) return [{ type: 'card.moved', data: doc }];
+    if (to.archivedAt !== undefined) {
+      return [to.archivedAt
+        ? { type: 'card.archived', data: { _id: doc._id, list: doc.list, archivedAt: doc.archivedAt } }
+        : { type: 'card.restored', data: doc }];
+    }
+    return [{ type: 'card.updated', data: doc }];
+  }
+  if (model === 'List') {
+    if (to.archivedAt !== undefined) {
+      return [to.archivedAt
+        ? { type: 'list.archived', data: { _id: doc._id, archivedAt: doc.archivedAt } }
+        : { type: 'list.restored', data: doc }];
+    }
+    if (to.position !== undefined) return [{ type: 'list.moved', data: { list: doc } }];
+    return [{ type: 'list.updated', data: doc }];
+  }
+  return [{ type: 'board.updated', data: doc }];
+};
+
+const writeSet = async (step, doc, forward, session) => {
+  const from = forward ? step.before : step.after;
+  const to = forward ? step.after : step.before;
+  const fields = Object.keys(to);
+
+  doc.set(to);
+  if (step.model === 'Card' && (to.dueDate !== undefined || to.completedAt !== undefined || to.archivedAt !== undefined)) {
+    doc.overdueAt = null;
+  }
+  if (fields.some(field => !MOVE_FIELDS.includes(field))) doc.increment();
+  await doc.save({ session });
+
+  if (step.model === 'Card' && fields.some(field => MOVE_FIELDS.includes(field))) {
+    const lists = new Set([from.list, doc.list.toString()].filter(Boolean));
+    for (const listId of lists) {
+      await claimOrder(List, listId, 'orderVersion', undefined, session);
+    }
+  }
+  if (step.model === 'Card' && to.board !== undefined) {
+    await moveCardRecords([doc._id], doc.board, session);
+  }
+  if (step.model === 'List' && (to.position !== undefined || to.board !== undefined)) {
+    const boards = new Set([from.board, doc.board.toString()].filter(Boolean));
+    for (const boardId of boards) {
+      await claimOrder(Board, boardId, 'listOrderVersion', undefined, session);
+    }
+  }
+  if (step.model === 'List' && to.archivedAt !== undefined) {
+    // Cards archived with the list follow it, as in archiveList and restoreList
+    await Card.updateMany({ list: doc._id, archivedAt: from.archivedAt }, { archivedAt: to.archivedAt }, { session });
+  }
+
+  return {
+    events: setEvents(step.model, doc, from, to),
+    cards: step.model === 'Card' && (to.dueDate !== undefined || to.completedAt !== undefined || to.archivedAt !== undefined)
+      ? [doc._id]
+      : []
+  };
+};
+
+const writeDelete = async (step, forward, session) => {
+  if (forward) {
+    // Capture again: comments or files may have been added since the undo
+    const root = rootRecord(step);
+    const { step: fresh } = await deleteWithHistory(step.model, step.id, session);
+    step.records = fresh.records;
+
+    return {
+      events: [step.model === 'List'
+        ? { type: 'list.deleted', data: { _id: step.id } }
+        : { type: 'card.deleted', data: { _id: step.id, list: root.list } }],
+      cards: []
+    };
+  }
+
+  for (const model of RESTORE_ORDER) {
+    const records = step.records[model] || [];
+    if (records.length > 0) {
+      await MODELS[model].collection.insertMany(records, { session });
+    }
+  }
+
+  const lists = step.records.List || [];
+  const cards = step.records.Card || [];
+  if (lists.length > 0) {
+    await claimOrder(Board, lists[0].board, 'listOrderVersion', undefined, session);
+  } else {
+    await claimOrder(List, cards[0].list, 'orderVersion', undefined, session);
+  }
+
+  return {
+    events: [
+      ...lists.map(list => ({ type: 'list.created', data: list })),
+      ...cards.map(card => ({ type: 'card.created', data: card }))
+    ],
+    cards: cards.map(card => card._id)
+  };
+};
+
+// Boards other than the entry's that its cross-board moves touch, with the
+// permission the move needed there
+const otherBoards = (entry) => {
+  const boards = new Map();
+  entry.steps
+    .filter(step => step.type === 'set' && step.before.board !== undefined)
+    .forEach((step) => {
+      [step.before.board, step.after.board]
+        .filter(board => board.toString() !== entry.board.toString())
+        .forEach(board => boards.set(`${board}:${step.model}`, {
+          board,
+          action: step.model === 'List' ? 'list.create' : 'card.create'
+        }));
+    });
+  return [...boards.values()];
+};
+
+/**
+ * Undo or redo the user's latest change on a board
+ * @param {Object} options - { board, user, role, redo }
+ * @returns {Object} - { entry, events, cards } where events are { type, data, board? } (board when it is
+ *   not the entry's) and cards need their reminders rescheduled,
+ *   or { entry, conflicts } (the entry was dropped), { entry, forbidden, otherBoard? }, { busy } or { empty }
+ */
+export const replayLatest = async ({ board, user, role, redo = false }) => {
+  const entry = await JournalEntry.findOne({ board, user, undone: redo }).sort({ stackedAt: -1 });
+  if (!entry) return { empty: true };
+  if (!can(role, entry.permission)) return { entry, forbidden: true };
+
+  // Moving back from (or again to) another board needs edit access there too
+  for (const other of otherBoards(entry)) {
+    const access = await checkBoardAccess(other.board, user, other.action);
+    if (!access.hasAccess) return { entry, forbidden: true, otherBoard: other.board };
+  }
+
+  const steps = redo ? entry.steps : [...entry.steps].reverse();
+
+  const result = await withTransaction(async (session) => {
+    const checked = [];
+    for (const step of steps) {
+      const check = step.type === 'set'
+        ? await checkSet(step, redo, session)
+        : await checkDelete(step, removes(step, redo), session);
+      if (check.conflicts) return { conflicts: check.conflicts };
+      checked.push({ step, doc: check.doc });
+    }
+
+    // Claim the entry so a repeated request can't apply it twice
+    const claimed = await JournalEntry.findOneAndUpdate(
+      { _id: entry._id, undone: redo },
+      { undone: !redo, stackedAt: new Date() },
+      { new: true, session }
+    );
+    if (!claimed) return { busy: true };
+
+    const events = [];
+    const cards = [];
+    for (const { step, doc } of checked) {
+      const written = step.type === 'set'
+        ? await writeSet(step, doc, redo, session)
+        : await writeDelete(step, removes(step, redo), session);
+      events.push(...written.events);
+      cards.push(...written.cards);
+    }
+
+    // Removing documents again captured them afresh
+    if (entry.steps.some(step => step.type !== 'set' && removes(step, redo))) {
+      claimed.steps = entry.steps;
+      claimed.markModified('steps');
+      await claimed.save({ session });
+    }
+
+    return { events, cards };
+  });
+
+  if (result.conflicts) {
+    await discardEntries([entry]);
+  }
+
+  return { entry, ...result };
+};
+
+/**
+ * Public view of a journal entry (steps hold copies of deleted documents)
+ * @param {Object} entry - JournalEntry
+ * @returns {Object} - { _id, action, entityType, entity, createdAt }
+ */
+export const summarizeEntry = ({ _id, action, entityType, entity, createdAt }) => ({ _id, action, entityType, entity, createdAt });
+
+/**
+ * The user's undo and redo stacks on a board, latest first
+ * @param {ObjectId} board - Board id
+ * @param {ObjectId} user - User id
+ * @returns {Object} - { undo, redo } arrays of { _id, action, entityType, entity, createdAt }
+ */
+export const getHistory = async (board, user) => {
+  const entries = await JournalEntry.find({ board, user }, 'action entityType entity undone createdAt')
+    .sort({ stackedAt: -1 });
+
+  return {
+    undo: entries.filter(entry => !entry.undone).map(summarizeEntry),
+    redo: entries.filter(entry => entry.undone).map(summarizeEntry)
+  };
+};
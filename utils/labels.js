@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import Board from '../models/Board.js';
+import Card from '../models/Card.js';
+
+const { ObjectId } = mongoose.Types;
+
+// Colors handed out to labels created without one (and to migrated labels)
+export const LABEL_COLORS = ['#61bd4f', '#f2d600', '#ff9f1a', '#eb5a46', '#c377e0', '#0079bf', '#00c2e0', '#51e898', '#ff78cb', '#344563'];
+
+/**
+ * Normalize a label name: trimmed, inner whitespace collapsed
+ * @param {string} name - Label name as given
+ * @returns {string}
+ */
+export const normalizeLabelName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Find a board label by name, ignoring case and surrounding whitespace
+ * @param {Object} board - Board document
+ * @param {string} name - Label name
+ * @param {string|ObjectId} exceptId - Label to ignore (when renaming)
+ * @returns {Object|undefined} - The label subdocument
+ */
+export const findLabelByName = (board, name, exceptId = null) => {
+  const key = normalizeLabelName(name).toLowerCase();
+  return board.labels.find(label => (
+    label.name.toLowerCase() === key && (!exceptId || label._id.toString() !== exceptId.toString())
+  ));
+};
+
+/**
+ * Next color in the palette for a new label
+ * @param {Object} board - Board document
+ * @returns {string}
+ */
+export const nextLabelColor = (board) => LABEL_COLORS[board.labels.length % LABEL_COLORS.length];
+
+/**
+ * Validate label ids for a card against the board's catalog
+ * @param {Object} board - Board document
+ * @param {Array} ids - Label ids from the request
+ * @returns {Object} - { labels } with duplicates removed, or { error }
+ */
+export const resolveCardLabels = (board, ids) => {
+  if (!Array.isArray(ids)) {
+    return { error: 'labels must be an array of label ids' };
+  }
+
+  const labels = [...new Set(ids.map(id => String(id)))];
+  const unknown = labels.filter(id => !ObjectId.isValid(id) || !board.labels.id(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown label: ${unknown.join(', ')}` };
+  }
+
+  return { labels };
+};
+
+// Drop the old text index, which covered the string labels
+const dropLegacyTextIndex = async () => {
+  try {
+    const indexes = await Card.collection.indexes();
+    if (indexes.some(index => index.name === 'card_text_search')) {
+      await Card.collection.dropIndex('card_text_search');
+      await Card.createIndexes();
+    }
+  } catch (error) {
+    // The collection does not exist yet on a fresh database
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  }
+};
+
+/**
+ * Move free-text card labels into each board's label catalog
+ * Labels differing only by case or whitespace become one catalog entry.
+ * Safe to run repeatedly: only cards still holding string labels are touched.
+ * @returns {Object} - { boards, cards } migrated counts
+ */
+export const migrateLegacyLabels = async () => {
+  await dropLegacyTextIndex();
+
+  // Read the raw collection: the schema would try to cast strings to ids
+  const legacy = { labels: { $type: 'string' } };
+  const boardIds = await Card.collection.distinct('board', legacy);
+  let migratedCards = 0;
+
+  for (const boardId of boardIds) {
+    const board = await Board.findById(boardId);
+    const cards = await Card.collection.find({ ...legacy, board: boardId }, { projection: { labels: 1 } }).toArray();
+
+    const updates = cards.map((card) => {
+      const labels = [];
+
+      card.labels.forEach((value) => {
+        if (typeof value !== 'string') {
+          labels.push(value);
+          return;
+        }
+
+        const name = normalizeLabelName(value);
+        if (!name || !board) return;
+
+        let label = findLabelByName(board, name);
+        if (!label) {
+          board.labels.push({ name, color: nextLabelColor(board) });
+          label = board.labels[board.labels.length - 1];
+        }
+        labels.push(label._id);
+      });
+
+      const unique = labels.filter((id, index) => labels.findIndex(other => other.equals(id)) === index);
+      return { updateOne: { filter: { _id: card._id }, update: { $set: { labels: unique } } } };
+    });
+
+    if (board) await board.save();
+    if (updates.length > 0) await Card.collection.bulkWrite(updates);
+    migratedCards += updates.length;
+  }
+
+  if (migratedCards > 0) {
+    console.log(`Migrated labels on ${migratedCards} cards across ${boardIds.length} boards`);
+  }
+  return { boards: boardIds.length, cards: migratedCards };
+};
@@ -0,0 +1,203 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import Outbox from '../models/Outbox.js';
+import { renderTemplate } from './mailTemplates.js';
+
+// Outbound email
+//
+// Messages are rendered from a template, stored in the Outbox collection and
+// delivered by a background worker with exponential backoff. The transport is
+// chosen with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as JSON into MAIL_DIR (default ./mail)
+//   console - log each message (default when SMTP_HOST is not set)
+
+const WORKER_INTERVAL = 30 * 1000;
+const RETRY_BASE_DELAY = 60 * 1000;
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let transport = null;
+let workerTimer = null;
+let processing = false;
+
+const getTransportName = () => {
+  return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+};
+
+const maxAttempts = () => parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return { send: (message) => mailer.sendMail(message) };
+};
+
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9.@_-]/gi, '_')}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`);
+  }
+});
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  switch (getTransportName()) {
+    case 'smtp':
+      transport = createSmtpTransport();
+      break;
+    case 'file':
+      transport = createFileTransport();
+      break;
+    default:
+      transport = createConsoleTransport();
+  }
+
+  return transport;
+};
+
+/**
+ * Whether emails actually reach recipients (as opposed to the local
+ * console/file transports used in development)
+ * @returns {boolean}
+ */
+export const isMailConfigured = () => getTransportName() === 'smtp';
+
+/**
+ * Render a template and queue it for delivery
+ * Never throws - a failed email must not fail the request that triggered it
+ * @param {string} templateName - Template name (see mailTemplates.js)
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template data
+ * @returns {Document|null} - Queued outbox message
+ */
+export const queueMail = async (templateName, to, data) => {
+  try {
+    const { subject, text, html } = renderTemplate(templateName, data);
+
+    const message = await Outbox.create({
+      to,
+      template: templateName,
+      subject,
+      text,
+      html
+    });
+
+    // Deliver promptly instead of waiting for the next worker tick
+    setImmediate(() => processOutbox());
+
+    return message;
+  } catch (error) {
+    console.error('Failed to queue mail:', error);
+    return null;
+  }
+};
+
+// Claim one due message so concurrent workers never send it twice
+const claimNext = () => {
+  const now = new Date();
+
+  return Outbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliver = async (message) => {
+  try {
+    await getTransport().send({
+      from: process.env.MAIL_FROM || 'SmartBoard <no-reply@smartboard.local>',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = null;
+  } catch (error) {
+    message.attempts += 1;
+    message.lastError = error.message;
+
+    if (message.attempts >= maxAttempts()) {
+      message.status = 'failed';
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (message.attempts - 1));
+    }
+  }
+
+  message.lockedAt = null;
+  await message.save();
+};
+
+/**
+ * Deliver queued messages that are due
+ * @returns {number} - Number of messages processed
+ */
+export const processOutbox = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  let processed = 0;
+  try {
+    while (processed < BATCH_SIZE) {
+      const message = await claimNext();
+      if (!message) break;
+
+      await deliver(message);
+      processed += 1;
+    }
+  } catch (error) {
+    console.error('Mail worker failed:', error);
+  } finally {
+    processing = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Start the background outbox worker
+ * @param {number} interval - Milliseconds between runs
+ */
+export const startMailWorker = (interval = WORKER_INTERVAL) => {
+  processOutbox();
+  workerTimer = setInterval(processOutbox, interval);
+  workerTimer.unref();
+};
+
+/**
+ * Stop the background outbox worker (used on shutdown)
+ */
+export const stopMailWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
@@ -0,0 +1,110 @@
+// Templated email messages
+//
+// Each template takes a data object and returns { subject, text, html }.
+
+const APP_NAME = 'SmartBoard';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const appUrl = (path) => `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${path}`;
+
+const formatDate = (date) => new Date(date).toUTCString();
+
+// Wrap paragraphs and an optional call-to-action link in a minimal HTML layout
+const layout = (paragraphs, action) => {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`
+    : '';
+  return `<div style="font-family: sans-serif; line-height: 1.5">\n${body}\n${button}\n<p style="color: #888">${APP_NAME}</p>\n</div>`;
+};
+
+const render = (subject, paragraphs, action) => ({
+  subject,
+  text: [...paragraphs, action ? `${action.label}: ${action.url}` : null, `— ${APP_NAME}`]
+    .filter(Boolean)
+    .join('\n\n'),
+  html: layout(paragraphs, action)
+});
+
+const boardUrl = (board) => appUrl(`/board/${board._id}`);
+
+export const templates = {
+  invite: ({ board, inviter, token, expiresAt }) => render(
+    `${inviter.name} invited you to "${board.title}" on ${APP_NAME}`,
+    [
+      `${inviter.name} (${inviter.email}) invited you to collaborate on the board "${board.title}".`,
+      `The invitation expires on ${formatDate(expiresAt)}. If you don't have an account yet, register with this email address and you will join the board automatically.`
+    ],
+    { label: 'Accept invitation', url: appUrl(`/invite/${token}`) }
+  ),
+
+  mention: ({ board, card, actor, comment }) => render(
+    `${actor.name} mentioned you on "${card.title}"`,
+    [
+      `${actor.name} mentioned you in a comment on "${card.title}" (${board.title}):`,
+      comment.text
+    ],
+    { label: 'View card', url: boardUrl(board) }
+  ),
+
+  assignment: ({ board, card, actor }) => render(
+    `You were assigned to "${card.title}"`,
+    [
+      `${actor.name} assigned you to the card "${card.title}" on the board "${board.title}".`,
+      card.dueDate ? `It is due on ${formatDate(card.dueDate)}.` : null
+    ].filter(Boolean),
+    { label: 'View card', url: boardUrl(board) }
+  ),
+
+  cardMoved: ({ board, card, actor, fromList, toList }) => render(
+    `"${card.title}" was moved to ${toList}`,
+    [
+      `${actor.name} moved the card "${card.title}" from ${fromList} to ${toList} on the board "${board.title}".`
+    ],
+    { label: 'View card', url: boardUrl(board) }
+  ),
+
+  memberAdded: ({ board, actor, role }) => render(
+    `You were added to "${board.title}"`,
+    [
+      `${actor.name} added you to the board "${board.title}" as ${role}.`
+    ],
+    { label: 'Open board', url: boardUrl(board) }
+  ),
+
+  overdue: ({ board, card }) => render(
+    `Overdue: "${card.title}" was due ${formatDate(card.dueDate)}`,
+    [
+      `The card "${card.title}" on the board "${board.title}" was due on ${formatDate(card.dueDate)} and is not completed yet.`
+    ],
+    { label: 'View card', url: boardUrl(board) }
+  ),
+
+  dueReminder: ({ board, card }) => render(
+    `Reminder: "${card.title}" is due ${formatDate(card.dueDate)}`,
+    [
+      `The card "${card.title}" on the board "${board.title}" is due on ${formatDate(card.dueDate)}.`
+    ],
+    { label: 'View card', url: boardUrl(board) }
+  )
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name (invite, mention, assignment, cardMoved, memberAdded, overdue, dueReminder)
+ * @param {Object} data - Template data
+ * @returns {Object} - { subject, text, html }
+ */
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+};
@@ -0,0 +1,32 @@
+// Utility for resolving @mentions in comment text
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find board members mentioned as "@Name" in a piece of text
+ * Longer names are matched first so "@Ann Lee" wins over "@Ann"
+ * @param {string} text - Comment text
+ * @param {Array} members - Board members with populated `user` ({ _id, name })
+ * @returns {Array} - Unique ids of mentioned users
+ */
+export const parseMentions = (text, members = []) => {
+  if (!text || !text.includes('@')) return [];
+
+  let remaining = text;
+  const mentioned = new Set();
+
+  const users = members
+    .map(member => member.user)
+    .filter(user => user && user.name)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  users.forEach((user) => {
+    const pattern = new RegExp(`@${escapeRegExp(user.name)}(?![\\w])`, 'gi');
+    if (pattern.test(remaining)) {
+      mentioned.add(user._id.toString());
+      remaining = remaining.replace(pattern, '');
+    }
+  });
+
+  return [...mentioned];
+};
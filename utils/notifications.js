@@ -0,0 +1,129 @@
+import User from '../models/User.js';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { queueMail } from './mail.js';
+
+// Channels used when a user has not set a preference
+export const DEFAULT_PREFERENCES = {
+  assignment: { inApp: true, email: true },
+  mention: { inApp: true, email: true },
+  cardMoved: { inApp: true, email: false },
+  dueSoon: { inApp: true, email: true },
+  overdue: { inApp: true, email: true },
+  memberAdded: { inApp: true, email: true }
+};
+
+// Mail template used for each notification type
+const EMAIL_TEMPLATES = {
+  assignment: 'assignment',
+  mention: 'mention',
+  cardMoved: 'cardMoved',
+  dueSoon: 'dueReminder',
+  overdue: 'overdue',
+  memberAdded: 'memberAdded'
+};
+
+// Layer explicitly set channels over a base preference set
+const mergeSettings = (base, settings) => {
+  const merged = {};
+  NOTIFICATION_TYPES.forEach((type) => {
+    const channels = (settings && settings[type]) || {};
+    merged[type] = {
+      inApp: typeof channels.inApp === 'boolean' ? channels.inApp : base[type].inApp,
+      email: typeof channels.email === 'boolean' ? channels.email : base[type].email
+    };
+  });
+  return merged;
+};
+
+/**
+ * Resolve a user's effective preferences: defaults, then all-boards, then board
+ * @param {Array} docs - The user's NotificationPreference documents
+ * @param {string|ObjectId} boardId - Board to resolve for (optional)
+ * @returns {Object} - type -> { inApp, email }
+ */
+export const resolvePreferences = (docs, boardId = null) => {
+  const global = docs.find(doc => !doc.board);
+  const board = boardId && docs.find(doc => doc.board && doc.board.toString() === boardId.toString());
+
+  let preferences = mergeSettings(DEFAULT_PREFERENCES, global && global.settings);
+  if (board) {
+    preferences = mergeSettings(preferences, board.settings);
+  }
+  return preferences;
+};
+
+/**
+ * Get a user's effective notification preferences
+ * @param {string|ObjectId} userId - User
+ * @param {string|ObjectId} boardId - Board (optional)
+ * @returns {Object} - type -> { inApp, email }
+ */
+export const getPreferences = async (userId, boardId = null) => {
+  const docs = await NotificationPreference.find({
+    user: userId,
+    board: { $in: boardId ? [null, boardId] : [null] }
+  });
+  return resolvePreferences(docs, boardId);
+};
+
+/**
+ * Notify users of an event, honouring each recipient's preferences
+ * Never throws - a failed notification must not fail the request that triggered it
+ * @param {Object} event
+ * @param {string} event.type - One of NOTIFICATION_TYPES
+ * @param {Array} event.recipients - User ids or documents to notify
+ * @param {Object} event.actor - User who caused the event (never notified)
+ * @param {Object} event.board - Board document
+ * @param {Object} event.card - Card document (optional)
+ * @param {string} event.message - In-app message
+ * @param {Object} event.data - Extra payload stored with the notification
+ * @param {Object} event.email - Extra data for the email template
+ */
+export const notify = async ({ type, recipients, actor = null, board, card = null, message, data = null, email = {} }) => {
+  try {
+    const actorId = actor ? (actor._id || actor).toString() : null;
+    const ids = [...new Set(recipients.map(r => (r._id || r).toString()))]
+      .filter(id => id !== actorId);
+
+    if (ids.length === 0) return;
+
+    const [users, docs] = await Promise.all([
+      User.find({ _id: { $in: ids } }, 'name email'),
+      NotificationPreference.find({ user: { $in: ids }, board: { $in: [null, board._id] } })
+    ]);
+
+    const notifications = [];
+    const emails = [];
+
+    users.forEach((user) => {
+      const preferences = resolvePreferences(
+        docs.filter(doc => doc.user.toString() === user._id.toString()),
+        board._id
+      )[type];
+
+      if (preferences.inApp) {
+        notifications.push({
+          user: user._id,
+          type,
+          board: board._id,
+          card: card ? card._id : null,
+          actor: actorId,
+          message,
+          data
+        });
+      }
+
+      if (preferences.email && user.email) {
+        emails.push(queueMail(EMAIL_TEMPLATES[type], user.email, { board, card, actor, ...email }));
+      }
+    });
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications);
+    }
+    await Promise.all(emails);
+  } catch (error) {
+    console.error('Failed to send notifications:', error);
+  }
+};
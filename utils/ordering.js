@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+
+// Ordering of cards in a list and lists in a board
+//
+// Positions are fractional ranks: placing an item between two neighbours gives
+// it the midpoint of their positions, so a move writes a single document. When
+// repeated inserts at one spot exhaust the precision between two neighbours,
+// the siblings are renumbered once with a bulk write.
+//
+// The container keeps an order version (List.orderVersion for its cards,
+// Board.listOrderVersion for its lists) that every reorder and move increments.
+// Clients send the version they last saw, and a stale one is rejected with 409
+// instead of clobbering someone else's order.
+
+// Below this gap between neighbours the siblings are renumbered
+const MIN_GAP = 1e-9;
+
+/**
+ * Position for an item placed between two neighbours
+ * @param {number|null} previous - Position of the item before it, null at the start
+ * @param {number|null} next - Position of the item after it, null at the end
+ * @returns {number|null} - New position, or null when the gap is too small
+ */
+export const rankBetween = (previous, next) => {
+  if (previous === null && next === null) return 0;
+  if (previous === null) return next - 1;
+  if (next === null) return previous + 1;
+  if (next - previous < MIN_GAP) return null;
+  return (previous + next) / 2;
+};
+
+/**
+ * Read where an item should go from a request body
+ * One of afterId (place after that sibling), beforeId (place before it) or
+ * index (0-based slot). `position` is accepted as an index for older clients.
+ * @param {Object} body - Request body
+ * @returns {Object} - { placement } (empty means at the end) or { error }
+ */
+export const parsePlacement = (body = {}) => {
+  const { afterId, beforeId, index = body.position } = body;
+  const given = [afterId, beforeId, index].filter(value => value !== undefined && value !== null);
+
+  if (given.length > 1) {
+    return { error: 'Provide only one of afterId, beforeId or index' };
+  }
+  if (afterId != null || beforeId != null) {
+    const id = afterId ?? beforeId;
+    if (!mongoose.isValidObjectId(id)) {
+      return { error: `Invalid ${afterId != null ? 'afterId' : 'beforeId'}` };
+    }
+    return { placement: afterId != null ? { afterId: String(afterId) } : { beforeId: String(beforeId) } };
+  }
+  if (index != null) {
+    if (!Number.isInteger(index) || index < 0) {
+      return { error: 'index must be a non-negative integer' };
+    }
+    return { placement: { index } };
+  }
+
+  return { placement: {} };
+};
+
+/**
+ * Read an expected order version from a request body
+ * @param {Object} body - Request body with an optional `version`
+ * @returns {Object} - { version } (undefined when not sent) or { error }
+ */
+export const parseOrderVersion = (body = {}) => {
+  const { version } = body;
+  if (version === undefined || version === null) return { version: undefined };
+  return Number.isInteger(version) && version >= 0
+    ? { version }
+    : { error: 'version must be a non-negative integer' };
+};
+
+/**
+ * Increment a container's order version, optionally only if it is still the expected one
+ * @param {Model} Model - List or Board
+ * @param {ObjectId} id - Container id
+ * @param {string} field - Version field, e.g. orderVersion
+ * @param {number|undefined} expected - Version the client saw
+ * @param {ClientSession|null} session - Optional transaction session
+ * @returns {Document|null} - Updated container, or null on a version mismatch
+ */
+export const claimOrder = (Model, id, field, expected, session = null) => Model.findOneAndUpdate(
+  { _id: id, ...(expected !== undefined ? { [field]: expected } : {}) },
+  { $inc: { [field]: 1 } },
+  { new: true, session }
+);
+
+/**
+ * Work out the position for an item placed among its siblings
+ * @param {Model} Model - Card or List
+ * @param {Object} scope - Query matching the siblings, e.g. { list, archivedAt: null }
+ * @param {Object} placement - Output of parsePlacement
+ * @param {ObjectId|null} itemId - Item being placed, left out of the siblings
+ * @param {ClientSession|null} session - Optional transaction session
+ * @returns {Object} - { position } or { error }
+ */
+export const placeItem = async (Model, scope, placement, itemId = null, session = null) => {
+  const filter = itemId ? { ...scope, _id: { $ne: itemId } } : scope;
+  const siblings = await Model.find(filter, 'position').sort({ position: 1, _id: 1 }).session(session);
+
+  let index = siblings.length;
+  if (placement.afterId || placement.beforeId) {
+    const neighbourId = placement.afterId || placement.beforeId;
+    const found = siblings.findIndex(sibling => sibling._id.toString() === neighbourId);
+    if (found === -1) {
+      return { error: `${placement.afterId ? 'afterId' : 'beforeId'} is not in this ${Model.modelName === 'Card' ? 'list' : 'board'}` };
+    }
+    index = placement.afterId ? found + 1 : found;
+  } else if (placement.index !== undefined) {
+    index = Math.min(placement.index, siblings.length);
+  }
+
+  const previous = index > 0 ? siblings[index - 1].position : null;
+  const next = index < siblings.length ? siblings[index].position : null;
+  const position = rankBetween(previous, next);
+  if (position !== null) return { position };
+
+  // Out of precision: renumber the siblings, leaving a slot at index
+  await Model.bulkWrite(siblings.map((sibling, i) => ({
+    updateOne: {
+      filter: { _id: sibling._id },
+      update: { $set: { position: i < index ? i : i + 1 } }
+    }
+  })), { session });
+
+  return { position: index };
+};
+
+/**
+ * Validate a bulk reorder payload against the items in a container
+ * @param {Model} Model - Card or List
+ * @param {Object} scope - Query matching the items that may be reordered
+ * @param {Array} orders - [{ id, position }]
+ * @param {ClientSession|null} session - Optional transaction session
+ * @returns {Object} - { updates } for bulkWrite, or { error }
+ */
+export const resolveReorder = async (Model, scope, orders, session = null) => {
+  if (orders.length === 0) {
+    return { error: 'Nothing to reorder' };
+  }
+
+  const ids = orders.map(({ id }) => String(id));
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid id in reorder payload' };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Each item may appear only once' };
+  }
+  if (!orders.every(({ position }) => typeof position === 'number' && Number.isFinite(position))) {
+    return { error: 'Positions must be numbers' };
+  }
+  if (new Set(orders.map(({ position }) => position)).size !== orders.length) {
+    return { error: 'Positions must be unique' };
+  }
+
+  // Every id must belong to the container the caller was authorized for
+  const found = await Model.countDocuments({ ...scope, _id: { $in: ids } }).session(session);
+  if (found !== ids.length) {
+    return { error: `Some items are not in this ${Model.modelName === 'Card' ? 'list' : 'board'}` };
+  }
+
+  return {
+    updates: orders.map(({ id, position }) => ({
+      updateOne: { filter: { _id: id, ...scope }, update: { $set: { position } } }
+    }))
+  };
+};
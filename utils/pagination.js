@@ -0,0 +1,37 @@
+// Opaque cursors for keyset pagination
+
+/**
+ * Encode a cursor payload as a URL-safe string
+ * @param {Object} payload - Sort keys of the last item on the page
+ * @returns {string} - Opaque cursor
+ */
+export const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {Object|null} - Decoded payload or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a page size from the query string
+ * @param {string} value - Raw `limit` query param
+ * @param {number} defaultLimit - Used when missing or invalid
+ * @param {number} maxLimit - Upper bound
+ * @returns {number} - Page size
+ */
+export const parseLimit = (value, defaultLimit = 20, maxLimit = 100) => {
+  return Math.min(Math.max(parseInt(value) || defaultLimit, 1), maxLimit);
+};
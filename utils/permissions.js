@@ -0,0 +1,172 @@
+import Board from '../models/Board.js';
+
+// Central board permission policy
+//
+// Roles, from most to least privileged:
+//   owner     - the board's `owner`; the only one who can delete the board
+//   admin     - manages the board, its members and invites
+//   editor    - creates and changes lists and cards
+//   commenter - reads the board and comments on cards
+//   viewer    - read-only access
+// `member` is the legacy name for `editor` and is still accepted.
+
+export const ROLES = ['owner', 'admin', 'editor', 'commenter', 'viewer'];
+
+// Roles that can be given to members (ownership is transferred, not assigned)
+export const ASSIGNABLE_ROLES = ['admin', 'editor', 'commenter', 'viewer'];
+
+const LEGACY_ROLES = { member: 'editor' };
+
+const EVERYONE = ['owner', 'admin', 'editor', 'commenter', 'viewer'];
+const COMMENTERS = ['owner', 'admin', 'editor', 'commenter'];
+const EDITORS = ['owner', 'admin', 'editor'];
+const ADMINS = ['owner', 'admin'];
+const OWNER = ['owner'];
+
+// Action -> roles allowed to perform it
+export const PERMISSIONS = {
+  'board.view': EVERYONE,
+  'board.update': ADMINS,
+  'board.delete': OWNER,
+  'board.archive': ADMINS,
+  'board.restore': ADMINS,
+  'board.leave': EVERYONE,
+  'board.transfer': OWNER,
+  'board.duplicate': EDITORS,
+  'board.template': EDITORS,
+  'board.export': EVERYONE,
+  'activity.view': EVERYONE,
+  'archive.view': EVERYONE,
+  'archive.purge': ADMINS,
+  'member.add': ADMINS,
+  'member.update': ADMINS,
+  'member.remove': ADMINS,
+  'member.invite': ADMINS,
+  'invite.view': ADMINS,
+  'invite.revoke': ADMINS,
+
+  'label.view': EVERYONE,
+  'label.create': EDITORS,
+  'label.update': EDITORS,
+  'label.delete': EDITORS,
+
+  'customField.view': EVERYONE,
+  'customField.create': ADMINS,
+  'customField.update': ADMINS,
+  'customField.delete': ADMINS,
+
+  'cardTemplate.view': EVERYONE,
+  'cardTemplate.manage': EDITORS,
+  'recurrence.view': EVERYONE,
+  'recurrence.manage': EDITORS,
+
+  'list.view': EVERYONE,
+  'list.create': EDITORS,
+  'list.update': EDITORS,
+  'list.delete': EDITORS,
+  'list.reorder': EDITORS,
+  'list.move': EDITORS,
+  'list.archive': EDITORS,
+  'list.restore': ADMINS,
+
+  'card.view': EVERYONE,
+  'card.create': EDITORS,
+  'card.update': EDITORS,
+  'card.move': EDITORS,
+  'card.delete': EDITORS,
+  'card.reorder': EDITORS,
+  'card.archive': EDITORS,
+  'card.restore': ADMINS,
+
+  'comment.view': EVERYONE,
+  'comment.create': COMMENTERS,
+  // Editing and deleting also require being the author, unless the user can moderate
+  'comment.update': COMMENTERS,
+  'comment.delete': COMMENTERS,
+  'comment.moderate': ADMINS,
+
+  'attachment.view': EVERYONE,
+  'attachment.create': EDITORS,
+  'attachment.delete': EDITORS,
+
+  'time.view': EVERYONE,
+  // Editing and deleting other users' entries requires time.manage
+  'time.track': EDITORS,
+  'time.manage': ADMINS
+};
+
+/**
+ * Map legacy role names to their current equivalent
+ * @param {string} role - Stored or requested role
+ * @returns {string} - Normalized role
+ */
+export const normalizeRole = (role) => LEGACY_ROLES[role] || role;
+
+/**
+ * Resolve a user's role on a board
+ * @param {Object} board - Board document (members may be populated)
+ * @param {string|ObjectId} userId - User to look up
+ * @returns {string|null} - Role, or null if the user is not on the board
+ */
+export const getBoardRole = (board, userId) => {
+  const id = userId.toString();
+
+  if ((board.owner._id || board.owner).toString() === id) {
+    return 'owner';
+  }
+
+  const member = board.members.find(
+    m => m.user && (m.user._id || m.user).toString() === id
+  );
+
+  return member ? normalizeRole(member.role) : null;
+};
+
+/**
+ * Check whether a role may perform an action
+ * @param {string|null} role - Role from getBoardRole
+ * @param {string} action - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export const can = (role, action) => {
+  const allowed = PERMISSIONS[action];
+  if (!allowed) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+  return Boolean(role) && allowed.includes(role);
+};
+
+// Query matching every board a user owns or is a member of
+export const memberBoardsFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { 'members.user': userId }
+  ]
+});
+
+/**
+ * Load a board and check a user's permission on it
+ * @param {string|ObjectId} boardId - Board to check
+ * @param {string|ObjectId} userId - User requesting access
+ * @param {string} action - Key of PERMISSIONS (defaults to read access)
+ * @returns {Object} - { hasAccess, board, role, status, error }
+ */
+export const checkBoardAccess = async (boardId, userId, action = 'board.view') => {
+  const board = await Board.findById(boardId);
+
+  if (!board) {
+    return { hasAccess: false, status: 404, error: 'Board not found' };
+  }
+
+  const role = getBoardRole(board, userId);
+
+  if (!role) {
+    return { hasAccess: false, status: 403, error: 'Not authorized to access this board' };
+  }
+
+  if (!can(role, action)) {
+    return { hasAccess: false, status: 403, role, error: `Your role (${role}) does not allow this action` };
+  }
+
+  return { hasAccess: true, board, role };
+};
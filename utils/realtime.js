@@ -0,0 +1,223 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { getUserFromToken } from '../middleware/auth.js';
+import { checkBoardAccess } from './permissions.js';
+
+// Real-time board sync over WebSockets
+//
+// Clients connect to /ws with their JWT (`?token=` query param or a Bearer
+// Authorization header), then send JSON messages:
+//   { "type": "subscribe", "boardId": "..." }
+//   { "type": "unsubscribe", "boardId": "..." }
+// and receive board events such as:
+//   { "type": "card.moved", "boardId": "...", "data": {...}, "actor": "...", "timestamp": "..." }
+
+const HEARTBEAT_INTERVAL = 30000;
+
+let wss = null;
+let heartbeat = null;
+
+// boardId -> Set of subscribed sockets
+const channels = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const getToken = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+const leaveChannel = (socket, boardId) => {
+  const channel = channels.get(boardId);
+  if (!channel) return;
+
+  channel.delete(socket);
+  socket.boards.delete(boardId);
+
+  if (channel.size === 0) {
+    channels.delete(boardId);
+  }
+};
+
+const handleSubscribe = async (socket, boardId) => {
+  if (!boardId) {
+    return send(socket, { type: 'error', message: 'Please provide a boardId' });
+  }
+
+  try {
+    const { hasAccess, error } = await checkBoardAccess(boardId, socket.user._id);
+    if (!hasAccess) {
+      return send(socket, { type: 'error', boardId, message: error });
+    }
+  } catch (error) {
+    return send(socket, { type: 'error', boardId, message: 'Board not found' });
+  }
+
+  if (!channels.has(boardId)) {
+    channels.set(boardId, new Set());
+  }
+  channels.get(boardId).add(socket);
+  socket.boards.add(boardId);
+
+  send(socket, { type: 'subscribed', boardId });
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid message format' });
+  }
+
+  const boardId = message.boardId ? String(message.boardId) : null;
+
+  switch (message.type) {
+    case 'subscribe':
+      return handleSubscribe(socket, boardId);
+    case 'unsubscribe':
+      leaveChannel(socket, boardId);
+      return send(socket, { type: 'unsubscribed', boardId });
+    case 'ping':
+      return send(socket, { type: 'pong' });
+    default:
+      return send(socket, { type: 'error', message: 'Unknown message type' });
+  }
+};
+
+/**
+ * Attach the WebSocket server to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ */
+export const initRealtime = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  // Authenticate during the HTTP upgrade so unauthenticated clients never connect
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/ws') {
+      return socket.destroy();
+    }
+
+    try {
+      const token = getToken(req);
+      const user = token ? await getUserFromToken(token) : null;
+
+      if (!user) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return socket.destroy();
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.user = user;
+        wss.emit('connection', ws, req);
+      });
+    } catch (error) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.boards = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, raw));
+    socket.on('close', () => {
+      [...socket.boards].forEach(boardId => leaveChannel(socket, boardId));
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  return wss;
+};
+
+/**
+ * Close every WebSocket connection (used on shutdown)
+ */
+export const closeRealtime = () => {
+  if (!wss) return;
+
+  clearInterval(heartbeat);
+  wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+  wss.close();
+  channels.clear();
+  wss = null;
+};
+
+/**
+ * Broadcast a typed event to everyone subscribed to a board
+ * @param {string|ObjectId} boardId - Board the event belongs to
+ * @param {string} type - Event type, e.g. 'card.created'
+ * @param {Object} data - Event payload
+ * @param {string|ObjectId} actor - User who caused the event
+ */
+export const emitBoardEvent = (boardId, type, data, actor = null) => {
+  const channel = channels.get(boardId.toString());
+  if (!channel) return;
+
+  const message = {
+    type,
+    boardId: boardId.toString(),
+    data,
+    actor: actor ? actor.toString() : null,
+    timestamp: new Date().toISOString()
+  };
+
+  channel.forEach(socket => send(socket, message));
+};
+
+/**
+ * Remove a user's sockets from a board channel (e.g. after losing membership)
+ * @param {string|ObjectId} boardId - Board to remove the user from
+ * @param {string|ObjectId} userId - User who lost access
+ */
+export const removeUserFromBoard = (boardId, userId) => {
+  const channel = channels.get(boardId.toString());
+  if (!channel) return;
+
+  [...channel]
+    .filter(socket => socket.user._id.toString() === userId.toString())
+    .forEach((socket) => {
+      leaveChannel(socket, boardId.toString());
+      send(socket, { type: 'unsubscribed', boardId: boardId.toString(), reason: 'removed' });
+    });
+};
+
+/**
+ * Notify subscribers that a board is gone and drop its channel
+ * @param {string|ObjectId} boardId - Deleted board
+ */
+export const closeBoardChannel = (boardId) => {
+  const channel = channels.get(boardId.toString());
+  if (!channel) return;
+
+  [...channel].forEach((socket) => {
+    leaveChannel(socket, boardId.toString());
+    send(socket, { type: 'unsubscribed', boardId: boardId.toString(), reason: 'deleted' });
+  });
+};
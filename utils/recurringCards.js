@@ -0,0 +1,256 @@
+import Board from '../models/Board.js';
+import List from '../models/List.js';
+import Card from '../models/Card.js';
+import CardTemplate from '../models/CardTemplate.js';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import { getBoardRole } from './permissions.js';
+import { defineJob, scheduleJob } from './scheduler.js';
+import { scheduleCardReminders } from './dueDates.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { emitBoardEvent } from './realtime.js';
+import { logActivity } from './activity.js';
+import { notify } from './notifications.js';
+import { withTransaction } from './transaction.js';
+import { placeItem, claimOrder } from './ordering.js';
+import { createStep, recordChange } from './journal.js';
+
+// Card templates and recurring cards
+//
+// Recurrence rules store their next run time; a recurring `recurringCards`
+// job creates the cards of every rule that is due. When the server was down
+// through several runs, one card is created and the rule moves on to its next
+// future run.
+
+const SWEEP_INTERVAL = 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validate a recurrence schedule and turn it into a cron expression
+ * @param {Object} input - { frequency, time, daysOfWeek, dayOfMonth, cron }
+ * @returns {Object} - { schedule, cron } or { error }
+ */
+export const resolveSchedule = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Please provide a schedule' };
+  }
+
+  const { frequency, time = '09:00', daysOfWeek, dayOfMonth, cron } = input;
+  const schedule = { frequency, time, daysOfWeek: [], dayOfMonth: null, cron: null };
+  let expression;
+  let hour;
+  let minute;
+
+  if (frequency !== 'cron') {
+    const match = TIME_PATTERN.exec(time);
+    if (!match) {
+      return { error: 'time must be HH:mm (UTC)' };
+    }
+    [hour, minute] = [Number(match[1]), Number(match[2])];
+  }
+
+  switch (frequency) {
+    case 'daily':
+      expression = `${minute} ${hour} * * *`;
+      break;
+    case 'weekly': {
+      const days = Array.isArray(daysOfWeek) ? [...new Set(daysOfWeek)].sort((a, b) => a - b) : [];
+      if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return { error: 'daysOfWeek must list days from 0 (Sunday) to 6' };
+      }
+      schedule.daysOfWeek = days;
+      expression = `${minute} ${hour} * * ${days.join(',')}`;
+      break;
+    }
+    case 'monthly':
+      if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+        return { error: 'dayOfMonth must be between 1 and 31' };
+      }
+      schedule.dayOfMonth = dayOfMonth;
+      expression = `${minute} ${hour} ${dayOfMonth} * *`;
+      break;
+    case 'cron':
+      schedule.time = null;
+      schedule.cron = String(cron || '').trim();
+      expression = schedule.cron;
+      break;
+    default:
+      return { error: 'frequency must be daily, weekly, monthly or cron' };
+  }
+
+  const parsed = parseCron(expression);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  if (!nextCronRun(parsed)) {
+    return { error: 'The schedule never runs' };
+  }
+
+  return { schedule, cron: parsed };
+};
+
+/**
+ * Next run of a stored schedule after a given time
+ * @param {Object} schedule - Rule schedule
+ * @param {Date} after - Reference time
+ * @returns {Date|null}
+ */
+export const getNextRun = (schedule, after = new Date()) => {
+  const { cron, error } = resolveSchedule(schedule);
+  return error ? null : nextCronRun(cron, after);
+};
+
+// "{{date}}" in a template title becomes the creation date, e.g. "Sprint retro 2025-03-14"
+const renderTitle = (title, now) => title.replace(/\{\{\s*date\s*\}\}/g, now.toISOString().slice(0, 10));
+
+/**
+ * Create a card from a template at the end of a list
+ * Labels and assignees no longer on the board are skipped.
+ * @param {Object} template - CardTemplate document
+ * @param {Object} context - { board, list, actor, rule }
+ * @returns {Document} - The created card
+ */
+export const createCardFromTemplate = async (template, { board, list, actor, rule = null }) => {
+  const now = new Date();
+
+  const card = new Card({
+    title: renderTitle(template.title, now),
+    description: template.description,
+    list: list._id,
+    board: board._id,
+    labels: template.labels.filter(id => board.labels.id(id)),
+    assignedTo: template.assignees.filter(user => getBoardRole(board, user) !== null),
+    dueDate: template.dueIn !== null ? new Date(now.getTime() + template.dueIn * 60 * 1000) : null,
+    checklists: template.checklists.map((checklist, position) => ({
+      title: checklist.title,
+      position,
+      items: checklist.items.map((text, itemPosition) => ({ text, position: itemPosition }))
+    })),
+    createdBy: actor
+  });
+
+  // Ranked after the list's active cards, claiming its order version like any other create
+  await withTransaction(async (session) => {
+    const { position } = await placeItem(Card, { list: list._id, archivedAt: null }, {}, null, session);
+    await claimOrder(List, list._id, 'orderVersion', undefined, session);
+    card.position = position;
+    await card.save({ session });
+  });
+
+  // Recurring cards go into the history of the rule's creator
+  await recordChange({
+    board: board._id,
+    user: actor,
+    action: 'card.created',
+    entityType: 'card',
+    entity: card._id,
+    permission: 'card.create',
+    steps: [await createStep('Card', card._id)]
+  });
+
+  if (card.dueDate) {
+    await scheduleCardReminders(card);
+  }
+
+  await card.populate('createdBy', 'name email');
+  await card.populate('assignedTo', 'name email');
+
+  emitBoardEvent(board._id, 'card.created', card, actor);
+  await logActivity({
+    board: board._id,
+    actor,
+    action: 'card.created',
+    entityType: 'card',
+    entity: card._id,
+    card: card._id,
+    after: { title: card.title, list: card.list, template: template._id, ...(rule ? { recurrence: rule._id } : {}) }
+  });
+
+  await notify({
+    type: 'assignment',
+    recipients: card.assignedTo,
+    actor: rule ? null : actor,
+    board,
+    card,
+    message: rule
+      ? `Recurring card "${card.title}" was assigned to you`
+      : `${card.createdBy.name} assigned you to "${card.title}"`
+  });
+
+  return card;
+};
+
+// Stop a rule that can no longer run and record why
+const pauseRule = (rule, reason) => RecurrenceRule.updateOne(
+  { _id: rule._id },
+  { paused: true, lastError: reason }
+);
+
+const runRule = async (rule, now) => {
+  const [board, template, list] = await Promise.all([
+    Board.findById(rule.board),
+    CardTemplate.findById(rule.template),
+    List.findById(rule.list)
+  ]);
+
+  if (!board || !template || !list) {
+    return pauseRule(rule, 'The board, template or target list no longer exists');
+  }
+  if (list.archivedAt || list.board.toString() !== board._id.toString()) {
+    return pauseRule(rule, 'The target list is archived or was moved');
+  }
+  // Archived boards skip their runs until restored
+  if (board.archivedAt) return;
+
+  const card = await createCardFromTemplate(template, { board, list, actor: rule.createdBy, rule });
+
+  await RecurrenceRule.updateOne(
+    { _id: rule._id },
+    { lastCard: card._id, lastRunAt: now, lastError: null }
+  );
+};
+
+/**
+ * Create the cards of every recurrence rule that is due
+ * @returns {number} - Number of rules run
+ */
+export const runRecurringCards = async () => {
+  const now = new Date();
+
+  const rules = await RecurrenceRule.find({ paused: false, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+
+  let run = 0;
+  for (const rule of rules) {
+    // Claim the run by moving nextRunAt so overlapping sweeps never run it twice
+    const { modifiedCount } = await RecurrenceRule.updateOne(
+      { _id: rule._id, nextRunAt: rule.nextRunAt },
+      { nextRunAt: getNextRun(rule.schedule, now) }
+    );
+    if (modifiedCount === 0) continue;
+
+    try {
+      await runRule(rule, now);
+      run += 1;
+    } catch (error) {
+      console.error(`Recurring card rule ${rule._id} failed:`, error);
+      await RecurrenceRule.updateOne({ _id: rule._id }, { lastError: error.message });
+    }
+  }
+
+  return run;
+};
+
+/**
+ * Register the recurring card sweep
+ */
+export const registerRecurringCardJobs = async () => {
+  defineJob('recurringCards', runRecurringCards);
+
+  await scheduleJob('recurringCards', new Date(), {}, {
+    key: 'recurringCards',
+    repeatEvery: SWEEP_INTERVAL
+  });
+};
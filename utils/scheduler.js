@@ -0,0 +1,170 @@
+import Job from '../models/Job.js';
+
+// In-process job scheduler
+//
+// Jobs are stored in the Job collection and run by a polling worker, so a
+// restart only delays them. Register a handler with defineJob() before
+// starting the worker, then queue work with scheduleJob(). Failed runs are
+// retried with exponential backoff. Finished jobs expire a week after they
+// finish (see the finishedAt index on Job).
+
+const POLL_INTERVAL = 15 * 1000;
+const RETRY_BASE_DELAY = 60 * 1000;
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 50;
+
+const handlers = new Map();
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Register the handler for a job name
+ * @param {string} name - Job name
+ * @param {Function} handler - async (data, job) => void
+ */
+export const defineJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Schedule a job; with a key, an existing job with that key is rescheduled instead
+ * @param {string} name - Job name
+ * @param {Date} runAt - When to run
+ * @param {Object} data - Payload passed to the handler
+ * @param {Object} options - { key, repeatEvery }
+ * @returns {Document} - The scheduled job
+ */
+export const scheduleJob = (name, runAt, data = {}, { key, repeatEvery = null } = {}) => {
+  if (!key) {
+    return Job.create({ name, runAt, data, repeatEvery });
+  }
+
+  return Job.findOneAndUpdate(
+    { key },
+    {
+      name,
+      runAt,
+      data,
+      repeatEvery,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      lockedAt: null,
+      completedAt: null,
+      finishedAt: null
+    },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Cancel pending jobs matching a filter
+ * @param {Object} filter - Job filter, e.g. { name, 'data.card': id }
+ * @returns {number} - Number of jobs cancelled
+ */
+export const cancelJobs = async (filter) => {
+  const { modifiedCount } = await Job.updateMany(
+    { ...filter, status: 'pending' },
+    { status: 'cancelled', finishedAt: new Date() }
+  );
+  return modifiedCount;
+};
+
+// Claim one due job so concurrent workers never run it twice
+const claimNext = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { status: 'running', lockedAt: now },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+const runJob = async (job) => {
+  try {
+    const handler = handlers.get(job.name);
+    if (!handler) {
+      throw new Error(`No handler defined for job ${job.name}`);
+    }
+
+    await handler(job.data, job);
+
+    if (job.repeatEvery) {
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + job.repeatEvery);
+      job.attempts = 0;
+    } else {
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.finishedAt = job.completedAt;
+    }
+    job.lastError = null;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    job.attempts += 1;
+    job.lastError = error.message;
+
+    if (job.attempts >= MAX_ATTEMPTS && !job.repeatEvery) {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+    } else {
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** Math.min(job.attempts - 1, 5));
+    }
+  }
+
+  job.lockedAt = null;
+  await job.save();
+};
+
+/**
+ * Run every job that is due
+ * @returns {number} - Number of jobs run
+ */
+export const runDueJobs = async () => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    while (processed < BATCH_SIZE) {
+      const job = await claimNext();
+      if (!job) break;
+
+      await runJob(job);
+      processed += 1;
+    }
+  } catch (error) {
+    console.error('Scheduler failed:', error);
+  } finally {
+    running = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Start polling for due jobs
+ * @param {number} interval - Milliseconds between polls
+ */
+export const startScheduler = (interval = POLL_INTERVAL) => {
+  runDueJobs();
+  pollTimer = setInterval(runDueJobs, interval);
+  pollTimer.unref();
+};
+
+/**
+ * Stop polling for jobs (used on shutdown)
+ */
+export const stopScheduler = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
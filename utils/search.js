@@ -0,0 +1,135 @@
+// Utility functions for search term handling and highlighting
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Split a search query into distinct terms
+ * @param {string} query - Raw search query
+ * @returns {Array} - Lowercased terms of at least 2 characters
+ */
+export const extractTerms = (query) => {
+  if (!query) return [];
+
+  const terms = query
+    .toLowerCase()
+    .replace(/["\-]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length >= 2);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a case-insensitive regex matching any of the terms
+ * @param {Array} terms - Search terms
+ * @returns {RegExp|null} - Regex or null when there are no terms
+ */
+export const termsRegex = (terms) => {
+  if (!terms.length) return null;
+  return new RegExp(terms.map(escapeRegExp).join('|'), 'i');
+};
+
+/**
+ * Wrap matched terms in <mark> tags (the rest of the text is HTML-escaped)
+ * @param {string} text - Text to highlight
+ * @param {Array} terms - Search terms
+ * @returns {string} - Highlighted, HTML-safe text
+ */
+export const highlight = (text, terms) => {
+  if (!text) return '';
+  if (!terms.length) return escapeHtml(text);
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+/**
+ * Cut a highlighted snippet around the first match
+ * @param {string} text - Full text (e.g. card description)
+ * @param {Array} terms - Search terms
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string|null} - Highlighted snippet or null if nothing matched
+ */
+export const buildSnippet = (text, terms, radius = 60) => {
+  const pattern = termsRegex(terms);
+  if (!text || !pattern) return null;
+
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(match.index - radius, 0);
+  const end = Math.min(match.index + match[0].length + radius, text.length);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+};
+
+/**
+ * Find the catalog labels a query names (every word of the label name is a term)
+ * @param {Array} labels - Board label catalog entries
+ * @param {Array} terms - Search terms
+ * @returns {Array} - Ids of the matching labels
+ */
+export const matchLabels = (labels, terms) => {
+  if (!terms.length) return [];
+
+  return labels
+    .filter((label) => {
+      const words = extractTerms(label.name);
+      return words.length > 0 && words.every(word => terms.includes(word));
+    })
+    .map(label => label._id);
+};
+
+// Score added for each searched label a card carries
+export const LABEL_MATCH_SCORE = 1;
+
+/**
+ * Build the aggregation that ranks cards for a query, one page at a time
+ * Label names are not in the text index: cards carrying a searched label are
+ * unioned in and their label score is added to any text score.
+ * @param {Object} options - { query, filters, labels (searched label ids), after ({ score, id: ObjectId } or null),
+ *   limit, collection (cards collection name) }
+ * @returns {Array} - Pipeline giving one { total: [{ count }], hits: [{ _id, score }] } document, where hits
+ *   holds up to limit + 1 matches after the cursor by score desc, then _id asc
+ */
+export const rankingPipeline = ({ query, filters, labels, after, limit, collection }) => [
+  { $match: { $text: { $search: query }, ...filters } },
+  { $project: { score: { $meta: 'textScore' } } },
+  ...(labels.length > 0
+    ? [{
+      $unionWith: {
+        coll: collection,
+        pipeline: [
+          { $match: { ...filters, $and: [{ labels: { $in: labels } }] } },
+          { $project: { score: { $multiply: [{ $size: { $setIntersection: ['$labels', labels] } }, LABEL_MATCH_SCORE] } } }
+        ]
+      }
+    }]
+    : []),
+  { $group: { _id: '$_id', score: { $sum: '$score' } } },
+  {
+    $facet: {
+      total: [{ $count: 'count' }],
+      hits: [
+        ...(after
+          ? [{ $match: { $or: [{ score: { $lt: after.score } }, { score: after.score, _id: { $gt: after.id } }] } }]
+          : []),
+        { $sort: { score: -1, _id: 1 } },
+        { $limit: limit + 1 }
+      ]
+    }
+  }
+];
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Pluggable file storage for attachments
+//
+// STORAGE_DRIVER selects the backend:
+//   local - files under STORAGE_DIR (default ./uploads)
+//   s3    - an S3-compatible bucket (S3_BUCKET, S3_REGION, S3_ENDPOINT,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE);
+//           set S3_ENDPOINT to point at a local stand-in such as MinIO
+//
+// Every driver implements save(key, buffer, mimeType), read(key) -> Readable
+// and remove(key).
+
+const drivers = new Map();
+
+const createLocalDriver = () => {
+  const root = path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+  // Keys are generated by us, but never let one escape the storage root
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+    read: async (key) => {
+      const file = resolveKey(key);
+      await fsp.access(file);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const createS3Driver = async () => {
+  // Loaded lazily so the SDK is only required when S3 is used
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  });
+
+  return {
+    save: async (key, buffer, mimeType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+    read: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+/**
+ * Name of the driver new files are stored with
+ * @returns {string} - 'local' or 's3'
+ */
+export const getDefaultDriver = () => (process.env.STORAGE_DRIVER === 's3' ? 's3' : 'local');
+
+/**
+ * Get a storage driver (files keep the driver they were saved with)
+ * @param {string} name - 'local' or 's3'
+ * @returns {Object} - { save, read, remove }
+ */
+export const getStorage = async (name = getDefaultDriver()) => {
+  if (!drivers.has(name)) {
+    drivers.set(name, name === 's3' ? await createS3Driver() : createLocalDriver());
+  }
+  return drivers.get(name);
+};
+
+/**
+ * Generate a unique storage key that keeps the file extension
+ * @param {string} prefix - Key prefix, e.g. the board id
+ * @param {string} filename - Original file name
+ * @returns {string}
+ */
+export const createStorageKey = (prefix, filename) => {
+  const ext = path.extname(filename).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${prefix}/${crypto.randomBytes(16).toString('hex')}${ext}`;
+};
+
+/**
+ * Remove stored files, logging instead of throwing on failure
+ * @param {Array} files - Documents with driver and storageKey
+ */
+export const removeStoredFiles = async (files) => {
+  await Promise.all(files.map(async (file) => {
+    try {
+      const storage = await getStorage(file.driver);
+      await storage.remove(file.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${file.storageKey}:`, error);
+    }
+  }));
+};
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Standalone mongod servers reject transactions ("Transaction numbers are only
+// allowed on a replica set member or mongos"), so fall back to running unsessioned
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+};
+
+/**
+ * Run work inside a transaction where the deployment supports it
+ * @param {Function} work - async (session) => result; session is null without transactions
+ * @returns {*} - Whatever work returns
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};